@@ -17,7 +17,13 @@
  *    - Вставьте весь код из этого файла
  *    - Сохраните (Ctrl+S)
  * 
- * 3. Разверните веб-приложение:
+ * 3. Создайте ключ доступа:
+ *    - В списке функций выберите "setupApiKey" и нажмите "Выполнить"
+ *    - Скопируйте ключ из журнала выполнения
+ *    - Без ключа скрипт отклоняет все запросы: URL веб-приложения
+ *      доступен всем, и знание одного URL не даёт доступа к данным
+ * 
+ * 4. Разверните веб-приложение:
  *    - Нажмите "Развернуть" → "Новое развёртывание"
  *    - Тип: "Веб-приложение"
  *    - Описание: "Therapy API" (любое)
@@ -27,7 +33,7 @@
  *    - Разрешите доступ (Google покажет предупреждение)
  *    - Скопируйте URL веб-приложения
  * 
- * 4. Вставьте URL в настройках приложения на телефоне
+ * 5. Вставьте URL и ключ доступа в настройках приложения на телефоне
  * 
  * ВАЖНО: После изменения кода нужно создать НОВОЕ развёртывание!
  * 
@@ -40,10 +46,71 @@ const SPREADSHEET_ID = '';
 // Названия листов
 const CLIENTS_SHEET_NAME = 'Клиенты';
 const SESSIONS_SHEET_NAME = 'Сессии';
+const PAYMENTS_SHEET_NAME = 'Платежи';
+// Скрытый лист надгробий (tombstones): id удалённых записей.
+// По нему другие устройства узнают об удалении, а устаревшие сохранения
+// не могут вернуть удалённую запись в таблицу
+const DELETED_SHEET_NAME = '_Удалённые';
+// Журнал изменений: кто (какое устройство), когда и что изменил
+const JOURNAL_SHEET_NAME = 'Журнал';
+
+// Максимальная длина значения в ячейке Google Sheets
+const MAX_CELL_LENGTH = 50000;
 
 // Заголовки для листов (currency добавлен для клиентов)
-const CLIENTS_HEADERS = ['id', 'name', 'rate', 'currency', 'notes', 'createdAt', 'updatedAt'];
-const SESSIONS_HEADERS = ['id', 'clientId', 'date', 'amount', 'paid', 'notes', 'createdAt', 'updatedAt'];
+const CLIENTS_HEADERS = [
+  'id', 'name', 'rate', 'currency', 'notes', 'createdAt', 'updatedAt', 'series', 'cancellationPolicy'
+];
+const SESSIONS_HEADERS = [
+  'id', 'clientId', 'date', 'amount', 'paid', 'notes', 'createdAt', 'updatedAt',
+  'time', 'duration', 'status', 'chargeable', 'seriesId', 'cancelledAt', 'fee'
+];
+const PAYMENTS_HEADERS = [
+  'id', 'clientId', 'date', 'amount', 'currency', 'method', 'notes', 'sessionIds', 'createdAt', 'updatedAt',
+  'convertedAmount', 'convertedCurrency'
+];
+const DELETED_HEADERS = ['id', 'type', 'deletedAt'];
+const JOURNAL_HEADERS = ['timestamp', 'deviceId', 'deviceName', 'action', 'type', 'recordId', 'changes'];
+
+// Валюты, которые знает приложение (CONFIG.CURRENCIES в index.html): код -> символ
+const CURRENCIES = { USD: '$', EUR: '€', PLN: 'zł' };
+
+// Длинные значения (заметки) попадают в журнал сокращёнными до этой длины
+const JOURNAL_VALUE_MAX_LENGTH = 200;
+
+// Сколько последних записей журнала возвращает getHistory
+const HISTORY_LIMIT = 100;
+
+// Ключ метаданных таблицы, под которым хранится версия схемы
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// Запас при выборке изменений по курсору: строки, записанные параллельно
+// с предыдущим запросом, попадут в следующую выборку ещё раз (слияние идемпотентно)
+const CURSOR_OVERLAP_MS = 2 * 60 * 1000;
+
+// Свойство скрипта: момент последней полной перезаписи (syncAll).
+// Курсоры, выданные до него, недействительны
+const CURSOR_RESET_PROPERTY = 'CURSOR_RESET_AT';
+
+// Сколько дней хранить надгробия. Устройство, не синхронизировавшееся дольше,
+// делает полную выборку и может вернуть в таблицу записи, удалённые раньше этого срока
+const TOMBSTONE_RETENTION_DAYS = 180;
+
+// Свойство скрипта: надгробия старше этого момента уже удалены
+const TOMBSTONES_PURGED_PROPERTY = 'TOMBSTONES_PURGED_BEFORE';
+
+// Свойство скрипта: общий секрет для подписи запросов (создаётся функцией setupApiKey)
+const API_KEY_PROPERTY = 'API_KEY';
+
+// Свойство скрипта: проверочное значение ключа шифрования заметок
+// (зашифрованная известная строка, см. CryptoService в приложении)
+const KEY_CHECK_PROPERTY = 'ENCRYPTION_KEY_CHECK';
+
+// Сколько ждать блокировку записи, пока её держит параллельный запрос
+const LOCK_TIMEOUT_MS = 20 * 1000;
+
+// Допустимое расхождение времени подписи запроса и сервера
+const REQUEST_MAX_AGE_MS = 5 * 60 * 1000;
 
 /**
  * Получение таблицы
@@ -55,165 +122,462 @@ function getSpreadsheet() {
   return SpreadsheetApp.getActiveSpreadsheet();
 }
 
+// Глубина вложенных withScriptLock в текущем запросе
+let lockDepth = 0;
+
+// Устройство, от которого пришёл текущий запрос (для журнала).
+// Функции, запущенные в редакторе скриптов, записываются от его имени
+let currentDevice = { id: '', name: 'Редактор скриптов' };
+
+// Записи журнала текущего запроса: пишутся одним диапазоном перед снятием блокировки
+let pendingJournal = [];
+
+/**
+ * Выполнение изменяющей таблицу операции под блокировкой скрипта.
+ * Без неё два устройства, пишущие одновременно, могут обе не найти строку
+ * по id и добавить две, а удаление строки - сдвинуть номера строк,
+ * найденные параллельным запросом. Все чтения для записи делаются
+ * внутри блокировки. Вложенные вызовы используют уже взятую блокировку
+ */
+function withScriptLock(callback) {
+  if (lockDepth > 0) {
+    return callback();
+  }
+  
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(LOCK_TIMEOUT_MS)) {
+    const error = new Error('Server is busy, try again later');
+    error.transient = true;
+    throw error;
+  }
+  
+  lockDepth++;
+  try {
+    return callback();
+  } finally {
+    lockDepth--;
+    try {
+      writeJournal();
+    } finally {
+      lock.releaseLock();
+    }
+  }
+}
+
 /**
- * Инициализация таблицы - создание листов и заголовков
+ * Создание листа с заголовками (или добавление заголовков, если их нет).
+ * Столбцы ищутся по заголовкам, поэтому порядок столбцов в существующем листе
+ * не проверяется - только наличие строки заголовков (хотя бы одного из них)
  */
-function initializeSpreadsheet() {
-  const spreadsheet = getSpreadsheet();
-  
-  // Создаём или получаем лист "Клиенты"
-  let clientsSheet = spreadsheet.getSheetByName(CLIENTS_SHEET_NAME);
-  if (!clientsSheet) {
-    clientsSheet = spreadsheet.insertSheet(CLIENTS_SHEET_NAME);
-    clientsSheet.getRange(1, 1, 1, CLIENTS_HEADERS.length).setValues([CLIENTS_HEADERS]);
-    clientsSheet.getRange(1, 1, 1, CLIENTS_HEADERS.length).setFontWeight('bold');
-    clientsSheet.setFrozenRows(1);
-  } else {
-    // Проверяем, есть ли заголовки
-    const firstRow = clientsSheet.getRange(1, 1, 1, CLIENTS_HEADERS.length).getValues()[0];
-    if (!firstRow[0] || firstRow[0] !== 'id') {
-      clientsSheet.insertRowBefore(1);
-      clientsSheet.getRange(1, 1, 1, CLIENTS_HEADERS.length).setValues([CLIENTS_HEADERS]);
-      clientsSheet.getRange(1, 1, 1, CLIENTS_HEADERS.length).setFontWeight('bold');
-      clientsSheet.setFrozenRows(1);
-    }
-  }
-  
-  // Создаём или получаем лист "Сессии"
-  let sessionsSheet = spreadsheet.getSheetByName(SESSIONS_SHEET_NAME);
-  if (!sessionsSheet) {
-    sessionsSheet = spreadsheet.insertSheet(SESSIONS_SHEET_NAME);
-    sessionsSheet.getRange(1, 1, 1, SESSIONS_HEADERS.length).setValues([SESSIONS_HEADERS]);
-    sessionsSheet.getRange(1, 1, 1, SESSIONS_HEADERS.length).setFontWeight('bold');
-    sessionsSheet.setFrozenRows(1);
+function ensureSheet(spreadsheet, name, headers) {
+  let sheet = spreadsheet.getSheetByName(name);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(name);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
   } else {
     // Проверяем, есть ли заголовки
-    const firstRow = sessionsSheet.getRange(1, 1, 1, SESSIONS_HEADERS.length).getValues()[0];
-    if (!firstRow[0] || firstRow[0] !== 'id') {
-      sessionsSheet.insertRowBefore(1);
-      sessionsSheet.getRange(1, 1, 1, SESSIONS_HEADERS.length).setValues([SESSIONS_HEADERS]);
-      sessionsSheet.getRange(1, 1, 1, SESSIONS_HEADERS.length).setFontWeight('bold');
-      sessionsSheet.setFrozenRows(1);
+    const firstRow = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getValues()[0];
+    if (!headers.some(header => firstRow.indexOf(header) >= 0)) {
+      sheet.insertRowBefore(1);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+      sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+      sheet.setFrozenRows(1);
     }
   }
+  return sheet;
+}
+
+/**
+ * Добавление недостающих столбцов в конец строки заголовков.
+ * Существующие столбцы (в том числе чужие) и данные не трогаются
+ */
+function addMissingColumns(sheet, headers) {
+  const lastColumn = sheet.getLastColumn();
+  const current = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  const missing = headers.filter(header => current.indexOf(header) < 0);
+  if (missing.length === 0) return;
   
-  // Удаляем пустой лист по умолчанию (Sheet1/Лист1) если он есть и пустой
-  const defaultSheets = ['Sheet1', 'Лист1', 'Лист 1'];
-  defaultSheets.forEach(name => {
-    const sheet = spreadsheet.getSheetByName(name);
-    if (sheet && sheet.getLastRow() === 0) {
-      try {
-        spreadsheet.deleteSheet(sheet);
-      } catch (e) {
-        // Игнорируем ошибку если нельзя удалить последний лист
-      }
+  if (sheet.getMaxColumns() < lastColumn + missing.length) {
+    sheet.insertColumnsAfter(sheet.getMaxColumns(), lastColumn + missing.length - sheet.getMaxColumns());
+  }
+  
+  const range = sheet.getRange(1, lastColumn + 1, 1, missing.length);
+  range.setValues([missing]);
+  range.setFontWeight('bold');
+}
+
+/**
+ * Шаги миграции схемы: шаг с индексом i переводит таблицу с версии i на i + 1.
+ * Шаги меняют таблицу на месте и только добавляют недостающее, поэтому
+ * повторный запуск шага безопасен. Новые шаги добавляются в конец списка
+ */
+const MIGRATIONS = [
+  // 1: таблицы, созданные до появления некоторых столбцов (например, currency)
+  function(spreadsheet) {
+    addMissingColumns(spreadsheet.getSheetByName(CLIENTS_SHEET_NAME), CLIENTS_HEADERS);
+    addMissingColumns(spreadsheet.getSheetByName(SESSIONS_SHEET_NAME), SESSIONS_HEADERS);
+    addMissingColumns(spreadsheet.getSheetByName(DELETED_SHEET_NAME), DELETED_HEADERS);
+  },
+  // 2: время, длительность и статус сессий
+  function(spreadsheet) {
+    addMissingColumns(spreadsheet.getSheetByName(SESSIONS_SHEET_NAME), SESSIONS_HEADERS);
+  },
+  // 3: регулярные серии сессий (series у клиента, seriesId у сессии)
+  function(spreadsheet) {
+    addMissingColumns(spreadsheet.getSheetByName(CLIENTS_SHEET_NAME), CLIENTS_HEADERS);
+    addMissingColumns(spreadsheet.getSheetByName(SESSIONS_SHEET_NAME), SESSIONS_HEADERS);
+  },
+  // 4: правила отмены у клиента, время уведомления и плата за отмену у сессии
+  function(spreadsheet) {
+    addMissingColumns(spreadsheet.getSheetByName(CLIENTS_SHEET_NAME), CLIENTS_HEADERS);
+    addMissingColumns(spreadsheet.getSheetByName(SESSIONS_SHEET_NAME), SESSIONS_HEADERS);
+  },
+  // 5: лист платежей (создаётся в initializeSpreadsheet, здесь - недостающие столбцы)
+  function(spreadsheet) {
+    addMissingColumns(spreadsheet.getSheetByName(PAYMENTS_SHEET_NAME), PAYMENTS_HEADERS);
+  }
+];
+
+// Текущая версия схемы таблицы
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Метаданные таблицы с версией схемы (null для таблиц без версии)
+ */
+function findSchemaMetadata(spreadsheet) {
+  return spreadsheet.getDeveloperMetadata().find(metadata => metadata.getKey() === SCHEMA_VERSION_KEY) || null;
+}
+
+/**
+ * Версия схемы таблицы; 0 - таблица ещё не мигрировалась
+ */
+function getSchemaVersion(spreadsheet) {
+  const metadata = findSchemaMetadata(spreadsheet);
+  return metadata ? Number(metadata.getValue()) || 0 : 0;
+}
+
+/**
+ * Сохранение версии схемы в метаданных таблицы
+ */
+function setSchemaVersion(spreadsheet, version) {
+  const metadata = findSchemaMetadata(spreadsheet);
+  if (metadata) {
+    metadata.setValue(String(version));
+  } else {
+    spreadsheet.addDeveloperMetadata(SCHEMA_VERSION_KEY, String(version));
+  }
+}
+
+/**
+ * Применение недостающих шагов миграции.
+ * Версия сохраняется после каждого шага: прерванная миграция продолжится
+ * со следующего запроса. Таблицу более новой версии скрипт не понижает
+ */
+function migrateSchema(spreadsheet) {
+  return withScriptLock(() => {
+    let version = getSchemaVersion(spreadsheet);
+    for (; version < SCHEMA_VERSION; version++) {
+      MIGRATIONS[version](spreadsheet);
+      setSchemaVersion(spreadsheet, version + 1);
+    }
+    return version;
+  });
+}
+
+/**
+ * Инициализация таблицы - создание листов и заголовков
+ */
+function initializeSpreadsheet() {
+  return withScriptLock(() => {
+    const spreadsheet = getSpreadsheet();
+    
+    ensureSheet(spreadsheet, CLIENTS_SHEET_NAME, CLIENTS_HEADERS);
+    ensureSheet(spreadsheet, SESSIONS_SHEET_NAME, SESSIONS_HEADERS);
+    ensureSheet(spreadsheet, PAYMENTS_SHEET_NAME, PAYMENTS_HEADERS);
+    
+    const deletedSheet = ensureSheet(spreadsheet, DELETED_SHEET_NAME, DELETED_HEADERS);
+    if (!deletedSheet.isSheetHidden()) {
+      deletedSheet.hideSheet();
     }
+    
+    ensureSheet(spreadsheet, JOURNAL_SHEET_NAME, JOURNAL_HEADERS);
+    
+    const schemaVersion = migrateSchema(spreadsheet);
+    
+    // Удаляем пустой лист по умолчанию (Sheet1/Лист1) если он есть и пустой
+    const defaultSheets = ['Sheet1', 'Лист1', 'Лист 1'];
+    defaultSheets.forEach(name => {
+      const sheet = spreadsheet.getSheetByName(name);
+      if (sheet && sheet.getLastRow() === 0) {
+        try {
+          spreadsheet.deleteSheet(sheet);
+        } catch (e) {
+          // Игнорируем ошибку если нельзя удалить последний лист
+        }
+      }
+    });
+    
+    return { success: true, message: 'Таблица инициализирована', schemaVersion };
   });
+}
+
+/**
+ * Простой триггер: при ручном редактировании строки клиента, сессии или платежа
+ * обновляем её updatedAt, чтобы правка попала в getChanges,
+ * и записываем правку в журнал
+ */
+function onEdit(e) {
+  const sheet = e.range.getSheet();
+  const name = sheet.getName();
+  
+  let knownHeaders;
+  let type;
+  if (name === CLIENTS_SHEET_NAME) {
+    knownHeaders = CLIENTS_HEADERS;
+    type = 'clients';
+  } else if (name === SESSIONS_SHEET_NAME) {
+    knownHeaders = SESSIONS_HEADERS;
+    type = 'sessions';
+  } else if (name === PAYMENTS_SHEET_NAME) {
+    knownHeaders = PAYMENTS_HEADERS;
+    type = 'payments';
+  } else {
+    return;
+  }
+  
+  const lastColumn = sheet.getLastColumn();
+  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  const updatedAtColumn = headers.indexOf('updatedAt') + 1;
+  const firstRow = Math.max(e.range.getRow(), 2);
+  const lastRow = e.range.getLastRow();
+  
+  // Правка заголовка, самого updatedAt или только чужих столбцов - ничего не делаем
+  const editedHeaders = headers
+    .slice(e.range.getColumn() - 1, e.range.getLastColumn())
+    .filter(header => header !== 'updatedAt' && knownHeaders.indexOf(header) >= 0);
+  if (!updatedAtColumn || lastRow < firstRow || editedHeaders.length === 0) {
+    return;
+  }
+  
+  const now = new Date().toISOString();
+  const values = [];
+  for (let row = firstRow; row <= lastRow; row++) {
+    values.push([now]);
+  }
+  sheet.getRange(firstRow, updatedAtColumn, values.length, 1).setValues(values);
   
-  return { success: true, message: 'Таблица инициализирована' };
+  currentDevice = { id: '', name: 'Таблица (вручную)' };
+  const columns = getColumns(headers);
+  sheet.getRange(firstRow, 1, lastRow - firstRow + 1, lastColumn).getValues().forEach(row => {
+    const id = cell(row, columns, 'id');
+    if (!id) return;
+    
+    const changes = {};
+    editedHeaders.forEach(header => {
+      changes[header] = cell(row, columns, header);
+    });
+    logChange('edit', type, id, changes);
+  });
+  writeJournal();
 }
 
 /**
  * Обработка GET-запросов
- * Примечание: POST запросы с JSON вызывают CORS preflight, который Google Apps Script
- * не поддерживает. Поэтому все операции выполняются через GET с параметрами.
+ * Используется для чтения (ping, getData, getChanges, getHistory). Параметры:
+ * action, data (JSON-строка), ts, nonce, sig - см. verifyRequest;
+ * deviceId, deviceName - устройство для журнала.
  */
 function doGet(e) {
-  const action = e.parameter.action || 'getData';
-  const dataParam = e.parameter.data;
+  const params = e.parameter;
+  return handleRequest(params.action || 'getData', params.data || '', params);
+}
+
+/**
+ * Обработка POST-запросов
+ * Тело - JSON { action, data, ts, nonce, sig, deviceId, deviceName }, где data - JSON-строка
+ * (подпись проверяется именно по ней). Отправляется с Content-Type: text/plain:
+ * такой запрос не вызывает CORS preflight (который Apps Script не поддерживает),
+ * и размер данных не ограничен длиной URL - заметки не обрезаются.
+ */
+function doPost(e) {
+  let body;
+  try {
+    body = JSON.parse(e.postData.contents);
+  } catch (parseError) {
+    return createJsonResponse({ error: 'Invalid JSON data' });
+  }
   
+  return handleRequest(body.action, typeof body.data === 'string' ? body.data : '', body);
+}
+
+/**
+ * Проверка подписи, разбор данных и выполнение действия
+ */
+function handleRequest(action, dataString, auth) {
   try {
-    let result;
+    const authError = verifyRequest(action, dataString, auth);
+    if (authError) {
+      return createJsonResponse({ error: authError, unauthorized: true });
+    }
+    
+    currentDevice = { id: String(auth.deviceId || ''), name: String(auth.deviceName || '').slice(0, 100) };
+    
     let data = null;
     
     // Парсим данные если переданы
-    if (dataParam) {
+    if (dataString) {
       try {
-        data = JSON.parse(dataParam);
+        data = JSON.parse(dataString);
       } catch (parseError) {
         return createJsonResponse({ error: 'Invalid JSON data' });
       }
     }
     
-    switch (action) {
-      case 'ping':
-        result = { status: 'ok', timestamp: new Date().toISOString() };
-        break;
-      case 'init':
-        result = initializeSpreadsheet();
-        break;
-      case 'getData':
-        result = getAllData();
-        break;
-      case 'getClients':
-        result = getClients();
-        break;
-      case 'getSessions':
-        result = getSessions();
-        break;
-      // Операции записи (раньше были в POST)
-      case 'saveClient':
-        if (!data) return createJsonResponse({ error: 'No data provided' });
-        result = saveClient(data);
-        break;
-      case 'saveSession':
-        if (!data) return createJsonResponse({ error: 'No data provided' });
-        result = saveSession(data);
-        break;
-      case 'deleteClient':
-        if (!data || !data.id) return createJsonResponse({ error: 'No client id provided' });
-        result = deleteClient(data.id);
-        break;
-      case 'deleteSession':
-        if (!data || !data.id) return createJsonResponse({ error: 'No session id provided' });
-        result = deleteSession(data.id);
-        break;
-      case 'syncAll':
-        if (!data) return createJsonResponse({ error: 'No data provided' });
-        result = syncAll(data);
-        break;
-      default:
-        result = { error: 'Unknown action: ' + action };
-    }
-    
-    return createJsonResponse(result);
+    return createJsonResponse(handleAction(action, data));
   } catch (error) {
-    return createJsonResponse({ error: error.message });
+    // transient - запрос не выполнен по временной причине, его можно повторить
+    return createJsonResponse(error.transient ? { error: error.message, transient: true } : { error: error.message });
   }
 }
 
 /**
- * Обработка POST-запросов (оставлено для обратной совместимости)
+ * Проверка подписи запроса.
+ * sig = HMAC-SHA256(ключ, action + "\n" + ts + "\n" + nonce + "\n" + data) в hex.
+ * Запрос отклоняется, если ключ не задан, подпись не совпадает,
+ * ts отличается от времени сервера больше чем на REQUEST_MAX_AGE_MS
+ * или nonce уже встречался (повтор перехваченного запроса).
+ * Возвращает текст ошибки или null, если запрос подлинный.
  */
-function doPost(e) {
-  try {
-    const data = JSON.parse(e.postData.contents);
-    const action = data.action;
-    let result;
-    
-    switch (action) {
-      case 'saveClient':
-        result = saveClient(data.data);
-        break;
-      case 'saveSession':
-        result = saveSession(data.data);
-        break;
-      case 'deleteClient':
-        result = deleteClient(data.data.id);
-        break;
-      case 'deleteSession':
-        result = deleteSession(data.data.id);
-        break;
-      case 'syncAll':
-        result = syncAll(data.data);
-        break;
-      default:
-        result = { error: 'Unknown action' };
-    }
-    
-    return createJsonResponse(result);
-  } catch (error) {
-    return createJsonResponse({ error: error.message });
+function verifyRequest(action, dataString, auth) {
+  const secret = PropertiesService.getScriptProperties().getProperty(API_KEY_PROPERTY);
+  if (!secret) {
+    return 'API key is not configured: run setupApiKey';
+  }
+  
+  const ts = Number(auth.ts);
+  const nonce = String(auth.nonce || '');
+  const sig = String(auth.sig || '');
+  
+  if (!ts || !nonce || !sig) {
+    return 'Unauthorized';
+  }
+  
+  if (Math.abs(Date.now() - ts) > REQUEST_MAX_AGE_MS) {
+    return 'Request expired';
+  }
+  
+  const message = action + '\n' + auth.ts + '\n' + nonce + '\n' + dataString;
+  if (!safeEqual(computeSignature(message, secret), sig.toLowerCase())) {
+    return 'Unauthorized';
+  }
+  
+  // Nonce помнится дольше окна ts, поэтому повтор не пройдёт ни в каком случае
+  const cache = CacheService.getScriptCache();
+  const nonceKey = 'nonce:' + nonce;
+  if (cache.get(nonceKey)) {
+    return 'Replayed request';
+  }
+  cache.put(nonceKey, '1', Math.ceil(2 * REQUEST_MAX_AGE_MS / 1000));
+  
+  return null;
+}
+
+/**
+ * HMAC-SHA256 в виде hex-строки
+ */
+function computeSignature(message, secret) {
+  const bytes = Utilities.computeHmacSha256Signature(message, secret, Utilities.Charset.UTF_8);
+  return bytes.map(function(b) {
+    return ('0' + (b & 0xff).toString(16)).slice(-2);
+  }).join('');
+}
+
+/**
+ * Сравнение строк за время, не зависящее от места первого различия
+ */
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Генерация ключа доступа.
+ * Запустите один раз в редакторе скриптов и скопируйте ключ из журнала
+ * выполнения в настройки приложения. Повторный запуск заменяет ключ -
+ * его придётся заново ввести на всех устройствах.
+ */
+function setupApiKey() {
+  const key = (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, '');
+  PropertiesService.getScriptProperties().setProperty(API_KEY_PROPERTY, key);
+  Logger.log('Ключ доступа: ' + key);
+  return key;
+}
+
+/**
+ * Выполнение действия API (общее для GET и POST)
+ */
+function handleAction(action, data) {
+  switch (action) {
+    case 'ping':
+      return { status: 'ok', timestamp: new Date().toISOString() };
+    case 'init':
+      return initializeSpreadsheet();
+    case 'getData':
+      return getAllData();
+    case 'getChanges':
+      if (!data || !data.since) return { error: 'No cursor provided' };
+      return getChanges(data.since);
+    case 'getHistory':
+      if (!data || !data.id) return { error: 'No record id provided' };
+      return { entries: getHistory(data.id) };
+    case 'getClients':
+      return getClients();
+    case 'getSessions':
+      return getSessions();
+    case 'getPayments':
+      return getPayments();
+    case 'saveClient':
+      if (!data) return { error: 'No data provided' };
+      return saveClient(data);
+    case 'saveSession':
+      if (!data) return { error: 'No data provided' };
+      return saveSession(data);
+    case 'savePayment':
+      if (!data) return { error: 'No data provided' };
+      return savePayment(data);
+    case 'deleteClient':
+      if (!data || !data.id) return { error: 'No client id provided' };
+      return deleteClient(data.id);
+    case 'deleteSession':
+      if (!data || !data.id) return { error: 'No session id provided' };
+      return deleteSession(data.id);
+    case 'deletePayment':
+      if (!data || !data.id) return { error: 'No payment id provided' };
+      return deletePayment(data.id);
+    case 'syncAll':
+      if (!data) return { error: 'No data provided' };
+      return syncAll(data);
+    case 'setKeyCheck':
+      if (!data || !data.keyCheck) return { error: 'No key check provided' };
+      return setKeyCheck(data.keyCheck);
+    case 'batch':
+      if (!data || !Array.isArray(data.items)) return { error: 'No items provided' };
+      return applyBatch(data.items);
+    case 'repairDuplicates':
+      return repairDuplicates();
+    case 'checkIntegrity':
+      return checkIntegrity();
+    case 'repairIntegrity':
+      return repairIntegrity();
+    default:
+      return { error: 'Unknown action: ' + action };
   }
 }
 
@@ -232,268 +596,1295 @@ function createJsonResponse(data) {
 function getAllData() {
   // Сначала убеждаемся что таблица инициализирована
   initializeSpreadsheet();
+  purgeTombstones();
+  
+  // Курсор фиксируем до чтения, чтобы не пропустить параллельные записи
+  const cursor = new Date().toISOString();
   
   return {
     clients: getClients(),
     sessions: getSessions(),
+    payments: getPayments(),
+    deleted: getDeletedIds(0),
+    cursor,
+    keyCheck: getKeyCheck(),
     syncedAt: new Date().toISOString()
   };
 }
 
 /**
- * Получение списка клиентов
+ * Получение изменений после курсора: изменённые строки и id удалённых записей.
+ * Если курсор некорректен или выдан до полной перезаписи таблицы,
+ * возвращается { invalidCursor: true } - клиент должен сделать полную выборку
  */
-function getClients() {
-  const sheet = getSpreadsheet().getSheetByName(CLIENTS_SHEET_NAME);
-  if (!sheet) return [];
-  
-  const data = sheet.getDataRange().getValues();
-  if (data.length <= 1) return [];
-  
-  const clients = [];
-  
-  for (let i = 1; i < data.length; i++) {
-    const row = data[i];
-    if (!row[0]) continue; // Пропускаем пустые строки
-    
-    clients.push({
-      id: row[0],
-      name: row[1],
-      rate: Number(row[2]),
-      currency: row[3] || 'USD',
-      notes: row[4] || '',
-      createdAt: row[5],
-      updatedAt: row[6]
-    });
+function getChanges(since) {
+  initializeSpreadsheet();
+  
+  const sinceTime = toTime(since);
+  const properties = PropertiesService.getScriptProperties();
+  const resetAt = properties.getProperty(CURSOR_RESET_PROPERTY);
+  const purgedBefore = properties.getProperty(TOMBSTONES_PURGED_PROPERTY);
+  
+  // Курсор старше очистки надгробий - часть удалений уже не восстановить
+  if (!sinceTime
+      || (resetAt && sinceTime < toTime(resetAt))
+      || (purgedBefore && sinceTime < toTime(purgedBefore))) {
+    return { invalidCursor: true };
   }
   
-  return clients;
+  const cursor = new Date().toISOString();
+  const from = sinceTime - CURSOR_OVERLAP_MS;
+  const isChanged = record => toTime(record.updatedAt) > from;
+  
+  return {
+    clients: getClients().filter(isChanged),
+    sessions: getSessions().filter(isChanged),
+    payments: getPayments().filter(isChanged),
+    deleted: getDeletedIds(from),
+    cursor,
+    keyCheck: getKeyCheck(),
+    syncedAt: new Date().toISOString()
+  };
 }
 
 /**
- * Получение списка сессий
+ * Проверочное значение ключа шифрования (null, если шифрование не включали).
+ * Приложение расшифровывает его перед синхронизацией: с неверной фразой
+ * шифрования оно ничего не запишет в таблицу
  */
-function getSessions() {
-  const sheet = getSpreadsheet().getSheetByName(SESSIONS_SHEET_NAME);
-  if (!sheet) return [];
-  
-  const data = sheet.getDataRange().getValues();
-  if (data.length <= 1) return [];
-  
-  const sessions = [];
-  
-  for (let i = 1; i < data.length; i++) {
-    const row = data[i];
-    if (!row[0]) continue;
-    
-    sessions.push({
-      id: row[0],
-      clientId: row[1],
-      date: formatDateForOutput(row[2]),
-      amount: Number(row[3]),
-      paid: row[4] === true || row[4] === 'TRUE' || row[4] === 'true',
-      notes: row[5] || '',
-      createdAt: row[6],
-      updatedAt: row[7]
-    });
-  }
-  
-  return sessions;
+function getKeyCheck() {
+  return PropertiesService.getScriptProperties().getProperty(KEY_CHECK_PROPERTY);
 }
 
 /**
- * Форматирование даты для вывода
+ * Сохранение проверочного значения первым устройством, включившим шифрование.
+ * Уже сохранённое значение не заменяется - возвращается действующее
  */
-function formatDateForOutput(date) {
-  if (!date) return '';
-  if (typeof date === 'string') return date;
-  
-  const d = new Date(date);
-  const year = d.getFullYear();
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  
-  return `${year}-${month}-${day}`;
+function setKeyCheck(keyCheck) {
+  return withScriptLock(() => {
+    const current = getKeyCheck();
+    if (current) {
+      return { success: true, keyCheck: current };
+    }
+    
+    PropertiesService.getScriptProperties().setProperty(KEY_CHECK_PROPERTY, keyCheck);
+    return { success: true, keyCheck };
+  });
 }
 
 /**
- * Сохранение клиента
+ * id записей, удалённых после указанного момента (в миллисекундах)
  */
-function saveClient(client) {
-  // Убеждаемся что таблица инициализирована
-  initializeSpreadsheet();
-  
-  const sheet = getSpreadsheet().getSheetByName(CLIENTS_SHEET_NAME);
+function getDeletedIds(fromTime) {
+  const deleted = { clients: [], sessions: [], payments: [] };
+  const table = loadTable(DELETED_SHEET_NAME);
+  if (!table) return deleted;
   
-  const data = sheet.getDataRange().getValues();
-  let rowIndex = -1;
-  
-  // Ищем существующую запись
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][0] === client.id) {
-      rowIndex = i + 1;
-      break;
+  for (let i = 1; i < table.values.length; i++) {
+    const row = table.values[i];
+    const id = cell(row, table.columns, 'id');
+    const type = cell(row, table.columns, 'type');
+    if (id && deleted[type] && toTime(cell(row, table.columns, 'deletedAt')) > fromTime) {
+      deleted[type].push(id);
     }
   }
   
-  const rowData = [
-    client.id,
-    client.name,
-    client.rate,
-    client.currency || 'USD',
-    client.notes || '',
-    client.createdAt || new Date().toISOString(),
-    new Date().toISOString()
-  ];
-  
-  if (rowIndex > 0) {
-    // Обновляем существующую запись
-    sheet.getRange(rowIndex, 1, 1, 7).setValues([rowData]);
-  } else {
-    // Добавляем новую запись
-    sheet.appendRow(rowData);
-  }
-  
-  return { success: true, client };
+  return deleted;
 }
 
 /**
- * Сохранение сессии
+ * Чтение листа надгробий для проверок и записи в рамках одного запроса
  */
-function saveSession(session) {
-  // Убеждаемся что таблица инициализирована
-  initializeSpreadsheet();
-  
-  const sheet = getSpreadsheet().getSheetByName(SESSIONS_SHEET_NAME);
-  
-  const data = sheet.getDataRange().getValues();
-  let rowIndex = -1;
-  
-  // Ищем существующую запись
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][0] === session.id) {
-      rowIndex = i + 1;
-      break;
+function loadTombstones() {
+  return loadTable(DELETED_SHEET_NAME);
+}
+
+/**
+ * Была ли запись удалена
+ */
+function isTombstoned(tombstones, type, id) {
+  const index = findRowIndex(tombstones, id);
+  return index > 0 && cell(tombstones.values[index], tombstones.columns, 'type') === type;
+}
+
+/**
+ * Запись надгробия
+ */
+function recordDeletion(tombstones, type, id, deletedAt) {
+  upsertRecord(tombstones, { id, type, deletedAt: deletedAt || new Date().toISOString() });
+}
+
+/**
+ * Удаление надгробий старше TOMBSTONE_RETENTION_DAYS.
+ * Вызывается при полной выборке (getData); курсоры старше границы очистки
+ * становятся недействительными
+ */
+function purgeTombstones() {
+  return withScriptLock(() => {
+    const horizon = Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const { sheet, values, columns } = loadTombstones();
+    
+    const kept = values.slice(1).filter(row =>
+      cell(row, columns, 'id') && toTime(cell(row, columns, 'deletedAt')) >= horizon
+    );
+    if (kept.length === values.length - 1) return;
+    
+    // Оставшиеся строки переписываются целиком, вместе с чужими столбцами
+    const width = values[0].length;
+    sheet.getRange(2, 1, values.length - 1, width).clearContent();
+    if (kept.length > 0) {
+      sheet.getRange(2, 1, kept.length, width).setValues(kept);
     }
-  }
-  
-  const rowData = [
-    session.id,
-    session.clientId,
-    session.date,
-    session.amount,
-    session.paid,
-    session.notes || '',
-    session.createdAt || new Date().toISOString(),
-    new Date().toISOString()
-  ];
-  
-  if (rowIndex > 0) {
-    // Обновляем существующую запись
-    sheet.getRange(rowIndex, 1, 1, 8).setValues([rowData]);
-  } else {
-    // Добавляем новую запись
-    sheet.appendRow(rowData);
-  }
-  
-  return { success: true, session };
+    
+    PropertiesService.getScriptProperties().setProperty(TOMBSTONES_PURGED_PROPERTY, new Date(horizon).toISOString());
+  });
 }
 
 /**
- * Удаление клиента
+ * Дата (Date или строка) в миллисекунды; 0 если значение пустое или некорректное
  */
-function deleteClient(clientId) {
-  const sheet = getSpreadsheet().getSheetByName(CLIENTS_SHEET_NAME);
-  if (!sheet) return { success: false };
-  
-  const data = sheet.getDataRange().getValues();
+function toTime(value) {
+  if (!value) return 0;
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Получение списка клиентов
+ */
+function getClients() {
+  const table = loadTable(CLIENTS_SHEET_NAME);
+  return table ? readRecords(table, rowToClient) : [];
+}
+
+/**
+ * Получение списка сессий
+ */
+function getSessions() {
+  const table = loadTable(SESSIONS_SHEET_NAME);
+  return table ? readRecords(table, rowToSession) : [];
+}
+
+/**
+ * Получение списка платежей
+ */
+function getPayments() {
+  const table = loadTable(PAYMENTS_SHEET_NAME);
+  return table ? readRecords(table, rowToPayment) : [];
+}
+
+/**
+ * Чтение всех записей листа
+ */
+function readRecords(table, rowToRecord) {
+  const records = [];
   
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][0] === clientId) {
-      sheet.deleteRow(i + 1);
-      return { success: true };
-    }
+  for (let i = 1; i < table.values.length; i++) {
+    const row = table.values[i];
+    if (!cell(row, table.columns, 'id')) continue; // Пропускаем пустые строки
+    
+    records.push(rowToRecord(row, table.columns));
   }
   
-  return { success: false, error: 'Client not found' };
+  return records;
 }
 
 /**
- * Удаление сессии
+ * Чтение листа целиком: { sheet, values, columns } или null, если листа нет.
+ * columns - номера столбцов (от 0) по названию заголовка, поэтому порядок
+ * столбцов в таблице может быть любым, а чужие столбцы не мешают.
+ * values обновляются вместе с листом (см. upsertRecord), чтобы один раз
+ * прочитанный лист можно было переиспользовать во всех операциях запроса
  */
-function deleteSession(sessionId) {
-  const sheet = getSpreadsheet().getSheetByName(SESSIONS_SHEET_NAME);
-  if (!sheet) return { success: false };
+function loadTable(name) {
+  const sheet = getSpreadsheet().getSheetByName(name);
+  if (!sheet) return null;
   
-  const data = sheet.getDataRange().getValues();
-  
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][0] === sessionId) {
-      sheet.deleteRow(i + 1);
-      return { success: true };
+  const values = sheet.getDataRange().getValues();
+  return { sheet, values, columns: getColumns(values[0]) };
+}
+
+/**
+ * Номера столбцов по заголовкам (при повторе заголовка берётся первый столбец)
+ */
+function getColumns(headerRow) {
+  const columns = Object.create(null);
+  headerRow.forEach((header, index) => {
+    const name = String(header).trim();
+    if (name && columns[name] === undefined) {
+      columns[name] = index;
     }
-  }
-  
-  return { success: false, error: 'Session not found' };
+  });
+  return columns;
 }
 
 /**
- * Полная синхронизация (перезапись всех данных)
+ * Значение ячейки строки по заголовку ('' если такого столбца нет)
  */
-function syncAll(data) {
-  // Убеждаемся что таблица инициализирована
-  initializeSpreadsheet();
-  
-  const spreadsheet = getSpreadsheet();
-  
-  // Синхронизация клиентов
-  const clientsSheet = spreadsheet.getSheetByName(CLIENTS_SHEET_NAME);
-  if (clientsSheet && data.clients) {
-    // Очищаем данные (оставляем заголовки)
-    const lastRow = clientsSheet.getLastRow();
-    if (lastRow > 1) {
-      clientsSheet.deleteRows(2, lastRow - 1);
-    }
-    
-    // Добавляем новые данные
-    data.clients.forEach(client => {
-      clientsSheet.appendRow([
-        client.id,
-        client.name,
-        client.rate,
-        client.currency || 'USD',
-        client.notes || '',
-        client.createdAt || new Date().toISOString(),
-        client.updatedAt || new Date().toISOString()
-      ]);
-    });
-  }
-  
-  // Синхронизация сессий
-  const sessionsSheet = spreadsheet.getSheetByName(SESSIONS_SHEET_NAME);
-  if (sessionsSheet && data.sessions) {
-    // Очищаем данные (оставляем заголовки)
-    const lastRow = sessionsSheet.getLastRow();
-    if (lastRow > 1) {
-      sessionsSheet.deleteRows(2, lastRow - 1);
-    }
-    
-    // Добавляем новые данные
-    data.sessions.forEach(session => {
-      sessionsSheet.appendRow([
-        session.id,
-        session.clientId,
-        session.date,
-        session.amount,
-        session.paid,
-        session.notes || '',
-        session.createdAt || new Date().toISOString(),
-        session.updatedAt || new Date().toISOString()
-      ]);
+function cell(row, columns, name) {
+  const index = columns[name];
+  return index === undefined ? '' : row[index];
+}
+
+/**
+ * Преобразование строки таблицы в клиента
+ */
+function rowToClient(row, columns) {
+  const get = name => cell(row, columns, name);
+  return {
+    id: get('id'),
+    name: get('name'),
+    rate: Number(get('rate')),
+    currency: get('currency') || 'USD',
+    notes: get('notes') || '',
+    series: parseSeries(get('series')),
+    cancellationPolicy: parsePolicy(get('cancellationPolicy')),
+    createdAt: get('createdAt'),
+    updatedAt: get('updatedAt')
+  };
+}
+
+/**
+ * Серии клиента хранятся в ячейке как JSON; испорченное значение читается как пустой список
+ */
+function parseSeries(value) {
+  if (!value) return [];
+  try {
+    const series = JSON.parse(value);
+    return Array.isArray(series) ? series : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Правила отмены хранятся в ячейке как JSON; пустое или испорченное значение - правил нет
+ */
+function parsePolicy(value) {
+  if (!value) return null;
+  try {
+    const policy = JSON.parse(value);
+    return policy && typeof policy === 'object' && !Array.isArray(policy) ? policy : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Преобразование строки таблицы в сессию
+ */
+function rowToSession(row, columns) {
+  const get = name => cell(row, columns, name);
+  const duration = get('duration');
+  const fee = get('fee');
+  const cancelledAt = get('cancelledAt');
+  return {
+    id: get('id'),
+    clientId: get('clientId'),
+    date: formatDateForOutput(get('date')),
+    time: formatTimeForOutput(get('time')),
+    duration: duration === '' ? null : Number(duration),
+    // Сессии без статуса записаны до появления статусов и считаются проведёнными
+    status: get('status') || 'completed',
+    chargeable: isTrue(get('chargeable')),
+    seriesId: get('seriesId') || '',
+    // Таблица может превратить время уведомления в дату
+    cancelledAt: cancelledAt instanceof Date ? cancelledAt.toISOString() : cancelledAt || null,
+    fee: fee === '' ? null : Number(fee),
+    amount: Number(get('amount')),
+    paid: isTrue(get('paid')),
+    notes: get('notes') || '',
+    createdAt: get('createdAt'),
+    updatedAt: get('updatedAt')
+  };
+}
+
+/**
+ * Преобразование строки таблицы в платёж
+ */
+function rowToPayment(row, columns) {
+  const get = name => cell(row, columns, name);
+  const convertedAmount = get('convertedAmount');
+  return {
+    id: get('id'),
+    clientId: get('clientId'),
+    date: formatDateForOutput(get('date')),
+    amount: Number(get('amount')),
+    currency: get('currency') || 'USD',
+    convertedAmount: convertedAmount === '' ? null : Number(convertedAmount),
+    convertedCurrency: get('convertedCurrency') || null,
+    method: get('method') || '',
+    notes: get('notes') || '',
+    sessionIds: parseSessionIds(get('sessionIds')),
+    createdAt: get('createdAt'),
+    updatedAt: get('updatedAt')
+  };
+}
+
+/**
+ * Сессии, выбранные для платежа вручную, хранятся в ячейке как JSON;
+ * пустое или испорченное значение - платёж распределяется автоматически
+ */
+function parseSessionIds(value) {
+  if (!value) return [];
+  try {
+    const ids = JSON.parse(value);
+    return Array.isArray(ids) ? ids.map(String) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Флажок из ячейки: TRUE в таблице или строка 'true'
+ */
+function isTrue(value) {
+  return value === true || value === 'TRUE' || value === 'true';
+}
+
+/**
+ * Форматирование даты для вывода
+ */
+function formatDateForOutput(date) {
+  if (!date) return '';
+  if (typeof date === 'string') return date;
+  
+  const d = new Date(date);
+  const year = d.getFullYear();
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Форматирование времени (HH:MM) для вывода.
+ * Таблица превращает введённое вручную «10:00» в дату, поэтому берём из неё часы и минуты
+ */
+function formatTimeForOutput(time) {
+  if (!time) return '';
+  if (typeof time === 'string') return time;
+  
+  const d = new Date(time);
+  const hours = String(d.getHours()).padStart(2, '0');
+  const minutes = String(d.getMinutes()).padStart(2, '0');
+  
+  return `${hours}:${minutes}`;
+}
+
+/**
+ * Поля клиента для записи в таблицу (по заголовкам)
+ */
+function clientToFields(client, updatedAt) {
+  return {
+    id: client.id,
+    name: client.name,
+    rate: client.rate,
+    currency: client.currency || 'USD',
+    notes: client.notes || '',
+    series: client.series && client.series.length > 0 ? JSON.stringify(client.series) : '',
+    cancellationPolicy: client.cancellationPolicy ? JSON.stringify(client.cancellationPolicy) : '',
+    createdAt: client.createdAt || new Date().toISOString(),
+    updatedAt
+  };
+}
+
+/**
+ * Поля сессии для записи в таблицу (по заголовкам)
+ */
+function sessionToFields(session, updatedAt) {
+  return {
+    id: session.id,
+    clientId: session.clientId,
+    date: session.date,
+    time: session.time || '',
+    duration: session.duration || '',
+    status: session.status || 'completed',
+    chargeable: !!session.chargeable,
+    seriesId: session.seriesId || '',
+    cancelledAt: session.cancelledAt || '',
+    fee: session.fee === null || session.fee === undefined ? '' : session.fee,
+    amount: session.amount,
+    paid: session.paid,
+    notes: session.notes || '',
+    createdAt: session.createdAt || new Date().toISOString(),
+    updatedAt
+  };
+}
+
+/**
+ * Поля платежа для записи в таблицу (по заголовкам)
+ */
+function paymentToFields(payment, updatedAt) {
+  return {
+    id: payment.id,
+    clientId: payment.clientId,
+    date: payment.date,
+    amount: payment.amount,
+    currency: payment.currency || 'USD',
+    convertedAmount: payment.convertedAmount === null || payment.convertedAmount === undefined ? '' : payment.convertedAmount,
+    convertedCurrency: payment.convertedCurrency || '',
+    method: payment.method || '',
+    notes: payment.notes || '',
+    sessionIds: payment.sessionIds && payment.sessionIds.length > 0 ? JSON.stringify(payment.sessionIds) : '',
+    createdAt: payment.createdAt || new Date().toISOString(),
+    updatedAt
+  };
+}
+
+/**
+ * Поиск строки по id в уже прочитанном листе (см. loadTable).
+ * Возвращает индекс в массиве values (номер строки = индекс + 1) или -1
+ */
+function findRowIndex(table, id) {
+  const idColumn = table.columns.id;
+  if (idColumn === undefined) return -1;
+  
+  for (let i = 1; i < table.values.length; i++) {
+    if (table.values[i][idColumn] === id) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Проверка конфликта: строка в таблице изменилась после версии, на которой
+ * основана правка устройства (record.baseUpdatedAt - updatedAt этой версии).
+ * Возвращает текущую строку при конфликте или null.
+ * Без baseUpdatedAt (новая запись, старая версия приложения) конфликта нет
+ */
+function findConflictingRow(table, record) {
+  if (!record.baseUpdatedAt) return null;
+  
+  const index = findRowIndex(table, record.id);
+  if (index < 0) return null;
+  
+  const updatedAt = cell(table.values[index], table.columns, 'updatedAt');
+  return toTime(updatedAt) !== toTime(record.baseUpdatedAt) ? table.values[index] : null;
+}
+
+/**
+ * Запись полей в строку по заголовкам (row меняется на месте).
+ * Слишком длинное значение - ошибка, а не обрезка: данные не должны теряться молча
+ */
+function fillRow(table, row, fields) {
+  Object.keys(fields).forEach(name => {
+    const index = table.columns[name];
+    if (index === undefined) {
+      throw new Error('Column ' + name + ' not found in sheet ' + table.sheet.getName());
+    }
+    
+    const value = fields[name];
+    if (typeof value === 'string' && value.length > MAX_CELL_LENGTH) {
+      throw new Error('Value too long for a cell (column ' + name + ', max ' + MAX_CELL_LENGTH + ' characters)');
+    }
+    row[index] = value;
+  });
+  return row;
+}
+
+/**
+ * Пустая строка шириной в лист
+ */
+function emptyRow(table) {
+  return new Array(table.values[0].length).fill('');
+}
+
+/**
+ * Обновление или добавление записи.
+ * В существующей строке записываются только столбцы из fields: остальные
+ * столбцы (в том числе чужие, с формулами) остаются нетронутыми.
+ * values таблицы обновляются вместе с листом.
+ * Возвращает изменившиеся поля (кроме id и updatedAt) для журнала
+ */
+function upsertRecord(table, fields) {
+  const index = findRowIndex(table, fields.id);
+  const current = index > 0 ? table.values[index] : emptyRow(table);
+  
+  const changes = {};
+  Object.keys(fields).forEach(name => {
+    if (name !== 'id' && name !== 'updatedAt' && !sameCellValue(cell(current, table.columns, name), fields[name])) {
+      changes[name] = fields[name];
+    }
+  });
+  
+  if (index > 0) {
+    // Обновляем существующую запись
+    const row = fillRow(table, current.slice(), fields);
+    writeCells(table.sheet, index + 1, row, Object.keys(fields).map(name => table.columns[name]));
+    table.values[index] = row;
+  } else {
+    // Добавляем новую запись
+    const row = fillRow(table, emptyRow(table), fields);
+    table.sheet.appendRow(row);
+    table.values.push(row);
+  }
+  
+  return changes;
+}
+
+/**
+ * Совпадает ли значение ячейки с записываемым
+ * (таблица возвращает даты как Date, а числа и флаги - без кавычек)
+ */
+function sameCellValue(current, value) {
+  if (current instanceof Date) {
+    return toTime(current) === toTime(value)
+      || formatDateForOutput(current) === String(value)
+      || formatTimeForOutput(current) === String(value);
+  }
+  
+  const left = current === null || current === undefined ? '' : current;
+  const right = value === null || value === undefined ? '' : value;
+  return String(left) === String(right);
+}
+
+/**
+ * Запись указанных ячеек строки: смежные столбцы пишутся одним диапазоном
+ */
+function writeCells(sheet, rowNumber, row, indexes) {
+  const sorted = indexes.slice().sort((a, b) => a - b);
+  let start = 0;
+  
+  for (let i = 1; i <= sorted.length; i++) {
+    if (i === sorted.length || sorted[i] !== sorted[i - 1] + 1) {
+      const values = row.slice(sorted[start], sorted[i - 1] + 1);
+      sheet.getRange(rowNumber, sorted[start] + 1, 1, values.length).setValues([values]);
+      start = i;
+    }
+  }
+}
+
+/**
+ * Удаление строки по id.
+ * values таблицы обновляются вместе с листом (см. upsertRecord)
+ */
+function deleteRowById(table, id) {
+  const index = findRowIndex(table, id);
+  if (index < 0) return false;
+  
+  table.sheet.deleteRow(index + 1);
+  table.values.splice(index, 1);
+  return true;
+}
+
+/**
+ * Сохранение клиента
+ */
+function saveClient(client) {
+  return withScriptLock(() => {
+    // Убеждаемся что таблица инициализирована
+    initializeSpreadsheet();
+    
+    // Удалённую запись не воскрешаем
+    if (isTombstoned(loadTombstones(), 'clients', client.id)) {
+      return { success: true, deleted: true };
+    }
+    
+    const table = loadTable(CLIENTS_SHEET_NAME);
+    
+    const conflictRow = findConflictingRow(table, client);
+    if (conflictRow) {
+      return { success: false, conflict: true, error: 'Conflict', current: rowToClient(conflictRow, table.columns) };
+    }
+    
+    const updatedAt = new Date().toISOString();
+    logChange('saveClient', 'clients', client.id, upsertRecord(table, clientToFields(client, updatedAt)));
+    
+    return { success: true, client, updatedAt };
+  });
+}
+
+/**
+ * Сохранение сессии
+ */
+function saveSession(session) {
+  return withScriptLock(() => {
+    // Убеждаемся что таблица инициализирована
+    initializeSpreadsheet();
+    
+    // Удалённую запись не воскрешаем
+    if (isTombstoned(loadTombstones(), 'sessions', session.id)) {
+      return { success: true, deleted: true };
+    }
+    
+    const table = loadTable(SESSIONS_SHEET_NAME);
+    
+    const conflictRow = findConflictingRow(table, session);
+    if (conflictRow) {
+      return { success: false, conflict: true, error: 'Conflict', current: rowToSession(conflictRow, table.columns) };
+    }
+    
+    const updatedAt = new Date().toISOString();
+    logChange('saveSession', 'sessions', session.id, upsertRecord(table, sessionToFields(session, updatedAt)));
+    
+    return { success: true, session, updatedAt };
+  });
+}
+
+/**
+ * Сохранение платежа
+ */
+function savePayment(payment) {
+  return withScriptLock(() => {
+    // Убеждаемся что таблица инициализирована
+    initializeSpreadsheet();
+    
+    // Удалённую запись не воскрешаем
+    if (isTombstoned(loadTombstones(), 'payments', payment.id)) {
+      return { success: true, deleted: true };
+    }
+    
+    const table = loadTable(PAYMENTS_SHEET_NAME);
+    
+    const conflictRow = findConflictingRow(table, payment);
+    if (conflictRow) {
+      return { success: false, conflict: true, error: 'Conflict', current: rowToPayment(conflictRow, table.columns) };
+    }
+    
+    const updatedAt = new Date().toISOString();
+    logChange('savePayment', 'payments', payment.id, upsertRecord(table, paymentToFields(payment, updatedAt)));
+    
+    return { success: true, payment, updatedAt };
+  });
+}
+
+/**
+ * Удаление клиента.
+ * Надгробие пишется даже если строки уже нет: запись может оставаться на других устройствах
+ */
+function deleteClient(clientId) {
+  return withScriptLock(() => {
+    initializeSpreadsheet();
+    
+    deleteRowById(loadTable(CLIENTS_SHEET_NAME), clientId);
+    recordDeletion(loadTombstones(), 'clients', clientId);
+    logChange('deleteClient', 'clients', clientId, {});
+    
+    return { success: true };
+  });
+}
+
+/**
+ * Удаление сессии (надгробие - см. deleteClient)
+ */
+function deleteSession(sessionId) {
+  return withScriptLock(() => {
+    initializeSpreadsheet();
+    
+    deleteRowById(loadTable(SESSIONS_SHEET_NAME), sessionId);
+    recordDeletion(loadTombstones(), 'sessions', sessionId);
+    logChange('deleteSession', 'sessions', sessionId, {});
+    
+    return { success: true };
+  });
+}
+
+/**
+ * Удаление платежа (надгробие - см. deleteClient)
+ */
+function deletePayment(paymentId) {
+  return withScriptLock(() => {
+    initializeSpreadsheet();
+    
+    deleteRowById(loadTable(PAYMENTS_SHEET_NAME), paymentId);
+    recordDeletion(loadTombstones(), 'payments', paymentId);
+    logChange('deletePayment', 'payments', paymentId, {});
+    
+    return { success: true };
+  });
+}
+
+/**
+ * Пакетное применение операций записи.
+ * Таблица инициализируется и читается один раз на весь пакет,
+ * результат возвращается отдельно для каждой операции (в том же порядке).
+ * 
+ * items: [{ action: 'saveClient' | 'saveSession' | 'savePayment' | 'deleteClient' | 'deleteSession' | 'deletePayment', data: {...} }]
+ */
+function applyBatch(items) {
+  return withScriptLock(() => {
+    initializeSpreadsheet();
+    
+    const clientsTable = loadTable(CLIENTS_SHEET_NAME);
+    const sessionsTable = loadTable(SESSIONS_SHEET_NAME);
+    const paymentsTable = loadTable(PAYMENTS_SHEET_NAME);
+    const tombstones = loadTombstones();
+    const now = new Date().toISOString();
+    
+    const results = items.map(item => {
+      const data = item && item.data;
+      const id = data && data.id;
+    
+      if (!id) {
+        return { id: null, action: item && item.action, success: false, error: 'No id provided' };
+      }
+    
+      try {
+        switch (item.action) {
+          case 'saveClient': {
+            // Удалённую запись не воскрешаем, но и не держим в очереди
+            if (isTombstoned(tombstones, 'clients', id)) {
+              return { id, action: item.action, success: true, deleted: true };
+            }
+            const conflictRow = findConflictingRow(clientsTable, data);
+            if (conflictRow) {
+              return { id, action: item.action, success: false, conflict: true, error: 'Conflict', current: rowToClient(conflictRow, clientsTable.columns) };
+            }
+            logChange(item.action, 'clients', id, upsertRecord(clientsTable, clientToFields(data, now)));
+            return { id, action: item.action, success: true, updatedAt: now };
+          }
+          case 'saveSession': {
+            if (isTombstoned(tombstones, 'sessions', id)) {
+              return { id, action: item.action, success: true, deleted: true };
+            }
+            const conflictRow = findConflictingRow(sessionsTable, data);
+            if (conflictRow) {
+              return { id, action: item.action, success: false, conflict: true, error: 'Conflict', current: rowToSession(conflictRow, sessionsTable.columns) };
+            }
+            logChange(item.action, 'sessions', id, upsertRecord(sessionsTable, sessionToFields(data, now)));
+            return { id, action: item.action, success: true, updatedAt: now };
+          }
+          case 'savePayment': {
+            if (isTombstoned(tombstones, 'payments', id)) {
+              return { id, action: item.action, success: true, deleted: true };
+            }
+            const conflictRow = findConflictingRow(paymentsTable, data);
+            if (conflictRow) {
+              return { id, action: item.action, success: false, conflict: true, error: 'Conflict', current: rowToPayment(conflictRow, paymentsTable.columns) };
+            }
+            logChange(item.action, 'payments', id, upsertRecord(paymentsTable, paymentToFields(data, now)));
+            return { id, action: item.action, success: true, updatedAt: now };
+          }
+          case 'deleteClient':
+            // Уже удалённая запись - тоже успех, иначе элемент навсегда останется в очереди
+            deleteRowById(clientsTable, id);
+            recordDeletion(tombstones, 'clients', id, now);
+            logChange(item.action, 'clients', id, {});
+            return { id, action: item.action, success: true };
+          case 'deleteSession':
+            deleteRowById(sessionsTable, id);
+            recordDeletion(tombstones, 'sessions', id, now);
+            logChange(item.action, 'sessions', id, {});
+            return { id, action: item.action, success: true };
+          case 'deletePayment':
+            deleteRowById(paymentsTable, id);
+            recordDeletion(tombstones, 'payments', id, now);
+            logChange(item.action, 'payments', id, {});
+            return { id, action: item.action, success: true };
+          default:
+            return { id, action: item.action, success: false, error: 'Unknown action: ' + item.action };
+        }
+      } catch (error) {
+        return { id, action: item.action, success: false, error: error.message };
+      }
+    });
+    
+    return { success: true, results, syncedAt: now };
+  });
+}
+
+/**
+ * Полная синхронизация (перезапись всех данных).
+ * Значения чужих столбцов сохраняются у записей, которые остаются в таблице
+ */
+function syncAll(data) {
+  return withScriptLock(() => {
+    // Убеждаемся что таблица инициализирована
+    initializeSpreadsheet();
+    
+    // Синхронизация клиентов
+    const clientsTable = loadTable(CLIENTS_SHEET_NAME);
+    let removedClients = [];
+    if (clientsTable && data.clients) {
+      removedClients = replaceRecords(clientsTable, data.clients.map(client =>
+        clientToFields(client, client.updatedAt || new Date().toISOString())
+      ));
+    }
+    
+    // Синхронизация сессий
+    const sessionsTable = loadTable(SESSIONS_SHEET_NAME);
+    let removedSessions = [];
+    if (sessionsTable && data.sessions) {
+      removedSessions = replaceRecords(sessionsTable, data.sessions.map(session =>
+        sessionToFields(session, session.updatedAt || new Date().toISOString())
+      ));
+    }
+    
+    // Синхронизация платежей
+    const paymentsTable = loadTable(PAYMENTS_SHEET_NAME);
+    let removedPayments = [];
+    if (paymentsTable && data.payments) {
+      removedPayments = replaceRecords(paymentsTable, data.payments.map(payment =>
+        paymentToFields(payment, payment.updatedAt || new Date().toISOString())
+      ));
+    }
+    
+    // Полная перезапись авторитетна: записанные записи больше не считаются удалёнными
+    const writtenIds = new Set([
+      ...(data.clients || []).map(client => client.id),
+      ...(data.sessions || []).map(session => session.id),
+      ...(data.payments || []).map(payment => payment.id)
+    ]);
+    const tombstones = loadTombstones();
+    for (let i = tombstones.values.length - 1; i >= 1; i--) {
+      const id = cell(tombstones.values[i], tombstones.columns, 'id');
+      if (writtenIds.has(id)) {
+        deleteRowById(tombstones, id);
+      }
+    }
+    
+    // Убранные записи получают надгробия, иначе другие устройства вернут их в таблицу
+    const now = new Date().toISOString();
+    removedClients.forEach(id => recordDeletion(tombstones, 'clients', id, now));
+    removedSessions.forEach(id => recordDeletion(tombstones, 'sessions', id, now));
+    removedPayments.forEach(id => recordDeletion(tombstones, 'payments', id, now));
+    
+    logChange('syncAll', '', '', {
+      clients: (data.clients || []).length,
+      sessions: (data.sessions || []).length,
+      payments: (data.payments || []).length,
+      removed: removedClients.length + removedSessions.length + removedPayments.length
+    });
+    
+    // Старые курсоры больше не отражают содержимое таблицы
+    PropertiesService.getScriptProperties().setProperty(CURSOR_RESET_PROPERTY, new Date().toISOString());
+    
+    return { success: true, syncedAt: new Date().toISOString() };
+  });
+}
+
+/**
+ * Замена всех строк листа записями (заголовки остаются).
+ * Возвращает id записей, которых больше нет на листе
+ */
+function replaceRecords(table, records) {
+  const existing = {};
+  for (let i = 1; i < table.values.length; i++) {
+    const id = cell(table.values[i], table.columns, 'id');
+    if (id) existing[id] = table.values[i];
+  }
+  
+  const rows = records.map(fields =>
+    fillRow(table, existing[fields.id] ? existing[fields.id].slice() : emptyRow(table), fields)
+  );
+  
+  // Очищаем данные (оставляем заголовки)
+  const width = table.values[0].length;
+  if (table.values.length > 1) {
+    table.sheet.getRange(2, 1, table.values.length - 1, width).clearContent();
+  }
+  
+  // Добавляем новые данные
+  if (rows.length > 0) {
+    table.sheet.getRange(2, 1, rows.length, width).setValues(rows);
+  }
+  table.values = [table.values[0]].concat(rows);
+  
+  const kept = new Set(records.map(fields => fields.id));
+  return Object.keys(existing).filter(id => !kept.has(id));
+}
+
+/**
+ * Исправление дубликатов: из нескольких строк с одним id остаётся самая новая
+ * (по updatedAt, для надгробий - по deletedAt; при равенстве - нижняя строка).
+ * Дубликаты могли появиться при одновременной записи до появления блокировки.
+ * Оставшаяся строка получает новый updatedAt, чтобы устройства, видевшие
+ * другую копию, получили её в getChanges.
+ * Можно запустить в редакторе скриптов или действием repairDuplicates
+ */
+function repairDuplicates() {
+  initializeSpreadsheet();
+  
+  return withScriptLock(() => {
+    const now = new Date().toISOString();
+    const removed = {
+      clients: removeDuplicateRows(loadTable(CLIENTS_SHEET_NAME), 'updatedAt', now),
+      sessions: removeDuplicateRows(loadTable(SESSIONS_SHEET_NAME), 'updatedAt', now),
+      payments: removeDuplicateRows(loadTable(PAYMENTS_SHEET_NAME), 'updatedAt', now),
+      deleted: removeDuplicateRows(loadTombstones(), 'deletedAt', null)
+    };
+    
+    logChange('repairDuplicates', '', '', removed);
+    Logger.log('Удалено дубликатов: ' + JSON.stringify(removed));
+    return { success: true, removed };
+  });
+}
+
+/**
+ * Удаление дубликатов одного листа. Возвращает число удалённых строк.
+ * touchedAt - новое значение updatedAt для оставшихся строк (null - не менять)
+ */
+function removeDuplicateRows(table, timeColumn, touchedAt) {
+  const newest = {};
+  const duplicated = new Set();
+  
+  for (let i = 1; i < table.values.length; i++) {
+    const id = cell(table.values[i], table.columns, 'id');
+    if (!id) continue;
+    
+    if (newest[id] !== undefined) {
+      duplicated.add(id);
+      const time = toTime(cell(table.values[i], table.columns, timeColumn));
+      const keptTime = toTime(cell(table.values[newest[id]], table.columns, timeColumn));
+      if (time < keptTime) continue;
+    }
+    newest[id] = i;
+  }
+  
+  if (duplicated.size === 0) return 0;
+  
+  const extraRows = [];
+  for (let i = 1; i < table.values.length; i++) {
+    const id = cell(table.values[i], table.columns, 'id');
+    if (duplicated.has(id) && newest[id] !== i) {
+      extraRows.push(i);
+    }
+  }
+  
+  if (touchedAt) {
+    duplicated.forEach(id => {
+      const index = newest[id];
+      table.values[index] = fillRow(table, table.values[index].slice(), { updatedAt: touchedAt });
+      writeCells(table.sheet, index + 1, table.values[index], [table.columns.updatedAt]);
+    });
+  }
+  
+  // Снизу вверх, чтобы номера ещё не удалённых строк не сдвигались
+  extraRows.reverse().forEach(index => {
+    table.sheet.deleteRow(index + 1);
+    table.values.splice(index, 1);
+  });
+  
+  return extraRows.length;
+}
+
+/**
+ * Проверка целостности данных таблицы - те же правила, что у IntegrityService
+ * в приложении: сессии и платежи без клиента, повторяющиеся id, неверные даты,
+ * суммы, тарифы и валюты, платежи, распределённые на удалённые сессии.
+ * Ячейки читаются как есть, поэтому видны и суммы, введённые текстом.
+ * Возвращает { issues: [{ kind, type, id, row, field, value, fix }] };
+ * fix - исправление, которое выполнит repairIntegrity (null - только вручную)
+ */
+function checkIntegrity() {
+  initializeSpreadsheet();
+  return {
+    issues: findIntegrityIssues(
+      loadTable(CLIENTS_SHEET_NAME), loadTable(SESSIONS_SHEET_NAME), loadTable(PAYMENTS_SHEET_NAME)
+    )
+  };
+}
+
+/**
+ * Исправление проблем, найденных checkIntegrity, у которых есть исправление:
+ * из дубликатов остаётся самая новая строка, распознанные значения
+ * («1 500», «15.02.2024», «usd») приводятся к нужному виду, удалённые сессии
+ * убираются из распределения платежей, сессии и платежи без клиента
+ * удаляются с надгробиями. Исправленные строки получают новый updatedAt,
+ * чтобы устройства получили их в getChanges.
+ * Возвращает { success, fixed, remaining } - число исправленных и оставшихся проблем
+ */
+function repairIntegrity() {
+  initializeSpreadsheet();
+  
+  return withScriptLock(() => {
+    const now = new Date().toISOString();
+    const tables = {
+      clients: loadTable(CLIENTS_SHEET_NAME),
+      sessions: loadTable(SESSIONS_SHEET_NAME),
+      payments: loadTable(PAYMENTS_SHEET_NAME)
+    };
+    const issues = findIntegrityIssues(tables.clients, tables.sessions, tables.payments);
+    let fixed = 0;
+    
+    // Сначала дубликаты: дальше каждая запись - одна строка
+    const duplicates = issues.filter(issue => issue.kind === 'duplicate');
+    if (duplicates.length > 0) {
+      removeDuplicateRows(tables.clients, 'updatedAt', now);
+      removeDuplicateRows(tables.sessions, 'updatedAt', now);
+      removeDuplicateRows(tables.payments, 'updatedAt', now);
+      logChange('repairDuplicates', '', '', { records: duplicates.length });
+      fixed += duplicates.length;
+    }
+    
+    issues.filter(issue => issue.fix && issue.fix.action === 'set').forEach(issue => {
+      const table = tables[issue.type];
+      const index = findRowIndex(table, issue.id);
+      // Значение могло быть у удалённой копии, а у оставшейся строки - верное
+      if (index < 1 || !sameCellValue(cell(table.values[index], table.columns, issue.field), issue.value)) return;
+      
+      const fields = { updatedAt: now };
+      fields[issue.field] = issue.fix.value;
+      table.values[index] = fillRow(table, table.values[index].slice(), fields);
+      writeCells(table.sheet, index + 1, table.values[index], [table.columns[issue.field], table.columns.updatedAt]);
+      logChange('repairIntegrity', issue.type, issue.id, { [issue.field]: issue.fix.value });
+      fixed++;
+    });
+    
+    const orphans = issues.filter(issue => issue.kind === 'orphan');
+    if (orphans.length > 0) {
+      const tombstones = loadTombstones();
+      orphans.forEach(issue => {
+        while (deleteRowById(tables[issue.type], issue.id)) {}
+        recordDeletion(tombstones, issue.type, issue.id, now);
+        logChange(issue.type === 'payments' ? 'deletePayment' : 'deleteSession', issue.type, issue.id, {});
+        fixed++;
+      });
+    }
+    
+    return {
+      success: true,
+      fixed,
+      remaining: findIntegrityIssues(tables.clients, tables.sessions, tables.payments).length
+    };
+  });
+}
+
+/**
+ * Поиск проблем в прочитанных листах клиентов, сессий и платежей (см. checkIntegrity).
+ * row - номер строки в таблице (для дубликатов - первой из строк)
+ */
+function findIntegrityIssues(clientsTable, sessionsTable, paymentsTable) {
+  const issues = [];
+  const clientIds = new Set();
+  const sessionIds = new Set();
+  
+  [['clients', clientsTable], ['sessions', sessionsTable], ['payments', paymentsTable]].forEach(([type, table]) => {
+    const firstRow = {};
+    const counts = {};
+    for (let i = 1; i < table.values.length; i++) {
+      const id = cell(table.values[i], table.columns, 'id');
+      if (!id) continue;
+      if (type === 'clients') clientIds.add(String(id));
+      // Сессии без клиента удаляются тем же исправлением - для платежей их уже нет
+      if (type === 'sessions' && clientIds.has(String(cell(table.values[i], table.columns, 'clientId')))) {
+        sessionIds.add(String(id));
+      }
+      if (counts[id] === undefined) {
+        counts[id] = 0;
+        firstRow[id] = i + 1;
+      }
+      counts[id]++;
+    }
+    Object.keys(counts).filter(id => counts[id] > 1).forEach(id => {
+      issues.push({ kind: 'duplicate', type, id, row: firstRow[id], count: counts[id], fix: { action: 'dedupe' } });
+    });
+  });
+  
+  for (let i = 1; i < clientsTable.values.length; i++) {
+    const row = clientsTable.values[i];
+    const get = name => cell(row, clientsTable.columns, name);
+    if (!get('id')) continue;
+    
+    if (!isValidAmount(get('rate'))) {
+      issues.push(valueIssue('invalidAmount', 'clients', get('id'), i + 1, 'rate', get('rate'), parseAmount(get('rate'))));
+    }
+    const currency = get('currency');
+    if (currency && !CURRENCIES.hasOwnProperty(currency)) {
+      issues.push(valueIssue('invalidCurrency', 'clients', get('id'), i + 1, 'currency', currency, normalizeCurrency(currency)));
+    }
+  }
+  
+  for (let i = 1; i < sessionsTable.values.length; i++) {
+    const row = sessionsTable.values[i];
+    const get = name => cell(row, sessionsTable.columns, name);
+    if (!get('id')) continue;
+    
+    if (!clientIds.has(String(get('clientId')))) {
+      issues.push(orphanIssue('sessions', get('id'), i + 1, get('clientId')));
+    }
+    pushDateAndAmountIssues(issues, 'sessions', get, i + 1);
+  }
+  
+  for (let i = 1; i < paymentsTable.values.length; i++) {
+    const row = paymentsTable.values[i];
+    const get = name => cell(row, paymentsTable.columns, name);
+    if (!get('id')) continue;
+    
+    if (!clientIds.has(String(get('clientId')))) {
+      issues.push(orphanIssue('payments', get('id'), i + 1, get('clientId')));
+    }
+    pushDateAndAmountIssues(issues, 'payments', get, i + 1);
+    
+    // Исправленное значение записывается так же, как в savePayment
+    const allocated = parseSessionIds(get('sessionIds'));
+    const existing = allocated.filter(id => sessionIds.has(id));
+    if (existing.length < allocated.length) {
+      issues.push(valueIssue('staleSessions', 'payments', get('id'), i + 1, 'sessionIds', get('sessionIds'),
+        existing.length > 0 ? JSON.stringify(existing) : ''));
+    }
+  }
+  
+  return issues;
+}
+
+/**
+ * Сессия или платёж без клиента - удаляется
+ */
+function orphanIssue(type, id, row, clientId) {
+  return { kind: 'orphan', type, id, row, field: 'clientId', value: clientId, fix: { action: 'remove' } };
+}
+
+/**
+ * Проверка даты и суммы строки сессии или платежа
+ */
+function pushDateAndAmountIssues(issues, type, get, row) {
+  // Даты, введённые в таблице вручную, приходят как Date - это нормально
+  const date = get('date');
+  if (!(date instanceof Date ? !isNaN(date.getTime()) : isValidDate(date))) {
+    issues.push(valueIssue('invalidDate', type, get('id'), row, 'date', date, normalizeDate(date)));
+  }
+  if (!isValidAmount(get('amount'))) {
+    issues.push(valueIssue('invalidAmount', type, get('id'), row, 'amount', get('amount'), parseAmount(get('amount'))));
+  }
+}
+
+/**
+ * Проблема неверного значения; исправление есть, если значение удалось распознать
+ */
+function valueIssue(kind, type, id, row, field, value, corrected) {
+  return {
+    kind, type, id, row, field,
+    value: value instanceof Date ? formatDateForOutput(value) : value,
+    fix: corrected === null ? null : { action: 'set', value: corrected }
+  };
+}
+
+/**
+ * Положительное число, как требуют формы клиента и сессии
+ */
+function isValidAmount(value) {
+  return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+/**
+ * Сумма, записанная текстом («1 500», «12,50»), или null
+ */
+function parseAmount(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const amount = Number(value.replace(/\s/g, '').replace(',', '.'));
+  return isFinite(amount) && amount > 0 ? amount : null;
+}
+
+/**
+ * Строка YYYY-MM-DD существующего дня
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(value + 'T00:00:00Z');
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * YYYY-MM-DD для даты вида DD.MM.YYYY или полной метки времени ISO, иначе null
+ */
+function normalizeDate(value) {
+  const text = String(value === null || value === undefined ? '' : value).trim();
+  let match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  if (match) {
+    const date = match[3] + '-' + match[2].padStart(2, '0') + '-' + match[1].padStart(2, '0');
+    return isValidDate(date) ? date : null;
+  }
+  
+  match = text.match(/^(\d{4}-\d{2}-\d{2})T/);
+  return match && isValidDate(match[1]) ? match[1] : null;
+}
+
+/**
+ * Код валюты для узнаваемого написания («usd», «$»), иначе null
+ */
+function normalizeCurrency(value) {
+  const text = String(value).trim().toLowerCase();
+  const code = Object.keys(CURRENCIES).find(code =>
+    code.toLowerCase() === text || CURRENCIES[code].toLowerCase() === text
+  );
+  return code || null;
+}
+
+/**
+ * Запись изменения в журнал (см. writeJournal).
+ * changes - изменившиеся поля со значениями; пустые сохранения не записываются
+ */
+function logChange(action, type, recordId, changes) {
+  const isDelete = action.indexOf('delete') === 0;
+  if (!isDelete && Object.keys(changes).length === 0) return;
+  
+  const shortened = {};
+  Object.keys(changes).forEach(name => {
+    const value = changes[name];
+    shortened[name] = typeof value === 'string' && value.length > JOURNAL_VALUE_MAX_LENGTH
+      ? value.slice(0, JOURNAL_VALUE_MAX_LENGTH) + '…'
+      : value;
+  });
+  
+  pendingJournal.push({
+    timestamp: new Date().toISOString(),
+    deviceId: currentDevice.id,
+    deviceName: currentDevice.name,
+    action,
+    type,
+    recordId,
+    changes: JSON.stringify(shortened)
+  });
+}
+
+/**
+ * Дописывание накопленных записей журнала в конец листа одним диапазоном.
+ * Лист читается только до строки заголовков: журнал растёт и не перечитывается
+ */
+function writeJournal() {
+  if (pendingJournal.length === 0) return;
+  
+  const entries = pendingJournal;
+  pendingJournal = [];
+  
+  const sheet = getSpreadsheet().getSheetByName(JOURNAL_SHEET_NAME);
+  if (!sheet) return;
+  
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const table = { sheet, values: [headers], columns: getColumns(headers) };
+  const rows = entries.map(fields => fillRow(table, emptyRow(table), fields));
+  
+  const firstRow = sheet.getLastRow() + 1;
+  if (sheet.getMaxRows() < firstRow + rows.length - 1) {
+    sheet.insertRowsAfter(sheet.getMaxRows(), firstRow + rows.length - 1 - sheet.getMaxRows());
+  }
+  sheet.getRange(firstRow, 1, rows.length, headers.length).setValues(rows);
+}
+
+/**
+ * Изменения записи из журнала, новые первыми (не больше HISTORY_LIMIT)
+ */
+function getHistory(recordId) {
+  const table = loadTable(JOURNAL_SHEET_NAME);
+  if (!table) return [];
+  
+  const entries = [];
+  for (let i = table.values.length - 1; i >= 1 && entries.length < HISTORY_LIMIT; i--) {
+    const row = table.values[i];
+    if (cell(row, table.columns, 'recordId') !== recordId) continue;
+    
+    let changes = {};
+    try {
+      changes = JSON.parse(cell(row, table.columns, 'changes') || '{}');
+    } catch (e) {
+      // Строку журнала поправили вручную - показываем без полей
+    }
+    
+    const timestamp = cell(row, table.columns, 'timestamp');
+    entries.push({
+      timestamp: timestamp instanceof Date ? timestamp.toISOString() : timestamp,
+      deviceId: cell(row, table.columns, 'deviceId'),
+      deviceName: cell(row, table.columns, 'deviceName'),
+      action: cell(row, table.columns, 'action'),
+      type: cell(row, table.columns, 'type'),
+      changes
     });
   }
   
-  return { success: true, syncedAt: new Date().toISOString() };
+  return entries;
 }
 
 /**
@@ -1,4 +1,13 @@
 import { SyncManager } from './services/SyncManager.js';
+import { DeviceIdentity } from './services/DeviceIdentity.js';
+import { LocalStorageService } from './services/LocalStorageService.js';
+import { ClientService } from './services/ClientService.js';
+import { SessionService } from './services/SessionService.js';
+import { PaymentService } from './services/PaymentService.js';
+import { IntegrityService } from './services/IntegrityService.js';
+import { SeriesService } from './services/SeriesService.js';
+import { IcsService } from './services/IcsService.js';
+import { LedgerService } from './services/LedgerService.js';
 
 /**
  * Main application entry point.
@@ -6,13 +15,58 @@ import { SyncManager } from './services/SyncManager.js';
  * for compatibility with existing UI code in index.html.
  */
 
-// Initialize SyncManager with saved script URL
-const scriptUrl = localStorage.getItem('scriptUrl') || '';
-const syncManager = new SyncManager({ scriptUrl });
+// Identity of this installation, shown in the sheet's change journal
+const device = new DeviceIdentity();
+
+// On-device storage (IndexedDB, localStorage where unavailable)
+const storage = new LocalStorageService();
+const clientService = new ClientService(storage);
+const sessionService = new SessionService(storage);
+const paymentService = new PaymentService(storage);
+
+// Sessions of recurring series are created 8 weeks ahead
+const seriesService = new SeriesService(8);
+
+const icsService = new IcsService();
+
+// Session charges and currency rates are kept by the UI code in index.html
+const ledgerService = new LedgerService({
+  chargeOf: (session) => window.sessionCharge(session),
+  convert: (amount, from, to) => window.convertCurrency(amount, from, to)
+});
+
+// Initialize SyncManager with saved backend, URL, API key and encryption settings
+const backend = localStorage.getItem('syncBackend') || 'googleSheets';
+const url =
+  localStorage.getItem(backend === 'rest' ? 'restUrl' : 'scriptUrl') || '';
+const apiKey = localStorage.getItem('apiKey') || '';
+const encryptionPassphrase = localStorage.getItem('encryptionPassphrase') || '';
+const encryptNames = localStorage.getItem('encryptNames') === 'true';
+const syncManager = new SyncManager({
+  backend,
+  url,
+  apiKey,
+  encryptionPassphrase,
+  encryptNames,
+  device,
+  storage
+});
 
 // Expose syncManager to global scope for UI code
 window.syncManager = syncManager;
 
+// Queue actions that save and delete each entity type
+const SAVE_ACTIONS = {
+  clients: 'saveClient',
+  sessions: 'saveSession',
+  payments: 'savePayment'
+};
+const DELETE_ACTIONS = {
+  clients: 'deleteClient',
+  sessions: 'deleteSession',
+  payments: 'deletePayment'
+};
+
 /**
  * Update connection UI elements
  * @param {boolean} online - Is online
@@ -29,6 +83,70 @@ function updateConnectionUI(online, text) {
   if (dotSessions) dotSessions.className = className;
   if (textEl) textEl.textContent = text;
   if (textSessions) textSessions.textContent = text;
+
+  updateLastSyncUI();
+}
+
+/**
+ * Show the time of the last successful sync next to the connection status
+ */
+function updateLastSyncUI() {
+  const text = formatLastSync(syncManager.lastSyncedAt);
+
+  ['lastSyncText', 'lastSyncTextSessions'].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  });
+}
+
+/**
+ * Format the last sync time: "синхр. 14:05" today, with the date otherwise
+ * @param {string|null} iso
+ * @returns {string} - '' if there was no successful sync
+ */
+function formatLastSync(iso) {
+  if (!iso) {
+    return '';
+  }
+
+  const date = new Date(iso);
+  const time = date.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' });
+
+  if (date.toDateString() === new Date().toDateString()) {
+    return `синхр. ${time}`;
+  }
+  return `синхр. ${date.toLocaleDateString('ru-RU', { day: 'numeric', month: 'short' })}, ${time}`;
+}
+
+/**
+ * Today's date on this device
+ * @returns {string} - YYYY-MM-DD
+ */
+function localToday() {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Store changed data on this device and sync the changes
+ * @param {{clients: Array, sessions: Array, payments?: Array, saved: Array<{type: string, record: Object}>, deleted: Array<{type: string, id: string}>}} changes
+ *   As returned by IntegrityService.repair and SeriesService (payments are kept when missing)
+ */
+function applyLocalChanges({ clients, sessions, payments = window.payments, saved, deleted }) {
+  window.clients = clients;
+  window.sessions = sessions;
+  window.payments = payments;
+  window.saveLocalData?.();
+
+  deleted.forEach(({ type, id }) => {
+    syncManager.trackDeleted(type, id);
+    window.pushToSheets(DELETE_ACTIONS[type], { id });
+  });
+  saved.forEach(({ type, record }) => window.pushToSheets(SAVE_ACTIONS[type], record));
+
+  window.renderAll?.();
 }
 
 // Register connection change listener
@@ -40,42 +158,147 @@ syncManager.onConnectionChange((online, text) => {
   if (sheetsStatus) {
     sheetsStatus.textContent = online ? 'Подключено ✓' : 'Нет соединения';
   }
+
+  // Queue counts change whenever the queue is processed
+  if (typeof window.updateSyncQueueUI === 'function') {
+    window.updateSyncQueueUI();
+  }
 });
 
+// Keep the last sync time and the sync history in settings current
+syncManager.onSyncComplete(() => {
+  updateLastSyncUI();
+  window.updateSyncReportsUI?.();
+});
+
+/**
+ * Records in memory when a sync starts; the sync works on these copies
+ * @returns {{clients: Array, sessions: Array, payments: Array}}
+ */
+function snapshotLocalRecords() {
+  return Object.fromEntries(
+    Object.keys(SAVE_ACTIONS).map((type) => [type, [...(window[type] || [])]])
+  );
+}
+
+/**
+ * Put the result of a sync in memory, store and render it.
+ * The network round-trips take a while and the user may keep editing meanwhile:
+ * records saved, added or deleted since the snapshot keep their local version
+ * (their queue items carry the change to the backend), the rest come from the merge.
+ * @param {{clients: Array, sessions: Array, payments: Array}} snapshot - As passed to the sync
+ * @param {{clients: Array, sessions: Array, payments: Array}} merged - Result of the sync
+ */
+function applySyncResult(snapshot, merged) {
+  Object.keys(SAVE_ACTIONS).forEach((type) => {
+    window[type] = keepLocalEdits(snapshot[type], merged[type], window[type] || []);
+  });
+
+  window.saveLocalData?.();
+  window.renderAll?.();
+
+  // Series may have arrived from another device
+  window.extendSessionSeries();
+}
+
+/**
+ * Merged records with the edits made on this device during the sync
+ * @param {Array} before - Local records when the sync started
+ * @param {Array} merged - Records after the sync
+ * @param {Array} current - Local records now
+ * @returns {Array}
+ */
+function keepLocalEdits(before, merged, current) {
+  const beforeById = new Map(before.map((record) => [record.id, record]));
+  const currentById = new Map(current.map((record) => [record.id, record]));
+  const editedSince = (record) => {
+    const previous = beforeById.get(record.id);
+    return !previous || previous.updatedAt !== record.updatedAt;
+  };
+
+  const result = merged
+    // Deleted here during the sync
+    .filter((record) => !beforeById.has(record.id) || currentById.has(record.id))
+    .map((record) => {
+      const local = currentById.get(record.id);
+      return local && beforeById.has(record.id) && editedSince(local) ? local : record;
+    });
+
+  // Added here during the sync
+  const mergedIds = new Set(merged.map((record) => record.id));
+  current.forEach((record) => {
+    if (!beforeById.has(record.id) && !mergedIds.has(record.id)) {
+      result.push(record);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Load clients, sessions and payments stored on this device.
+ * Called from index.html on DOMContentLoaded, before anything is rendered.
+ * @returns {Promise<{clients: Array, sessions: Array, payments: Array}>}
+ */
+window.loadLocalRecords = async function () {
+  const [clients, sessions, payments] = await Promise.all([
+    clientService.getAll(),
+    sessionService.getAll(),
+    paymentService.getAll(),
+    syncManager.ready
+  ]);
+  return { clients, sessions, payments };
+};
+
+/**
+ * Store clients, sessions and payments; only records changed since the last save are written.
+ * Called by saveLocalData in index.html.
+ * @param {Array} clients
+ * @param {Array} sessions
+ * @param {Array} payments
+ * @returns {Promise<boolean>} - Whether everything was stored
+ */
+window.saveLocalRecords = async function (clients, sessions, payments) {
+  try {
+    await Promise.all([
+      clientService.saveAll(clients),
+      sessionService.saveAll(sessions),
+      paymentService.saveAll(payments)
+    ]);
+    return true;
+  } catch (e) {
+    console.error('Failed to save local data', e);
+    window.showToast?.('Не удалось сохранить данные на устройстве');
+    return false;
+  }
+};
+
 /**
  * Check connection and perform initial sync.
- * Called from index.html on DOMContentLoaded.
+ * Called from index.html on DOMContentLoaded and by the sync scheduler.
+ * @returns {Promise<boolean>} - Whether the sync went through
  */
 window.checkConnectionAndSync = async function () {
   const isOnline = await syncManager.checkConnection();
 
   if (isOnline) {
     // Get current local data from global variables (defined in index.html)
-    const localClients = window.clients || [];
-    const localSessions = window.sessions || [];
+    const local = snapshotLocalRecords();
 
-    const merged = await syncManager.sync(localClients, localSessions);
+    const merged = await syncManager.sync(local.clients, local.sessions, local.payments);
 
     if (merged) {
-      // Update global data
-      window.clients = merged.clients;
-      window.sessions = merged.sessions;
-
-      // Save to localStorage
-      if (typeof window.saveLocalData === 'function') {
-        window.saveLocalData();
-      }
-
-      // Re-render UI
-      if (typeof window.renderAll === 'function') {
-        window.renderAll();
-      }
+      applySyncResult(local, merged);
     }
+
+    return merged !== null;
   }
+
+  return false;
 };
 
 /**
- * Push a change to Google Sheets with queue fallback.
+ * Push a change to the sync backend with queue fallback.
  * Replaces the old pushToSheets function.
  * @param {string} action - Action type
  * @param {Object} data - Data to push
@@ -83,8 +306,24 @@ window.checkConnectionAndSync = async function () {
 window.pushToSheets = async function (action, data) {
   const result = await syncManager.pushChange(action, data);
 
-  if (result.queued && !result.success) {
-    if (syncManager.isOnline) {
+  if (result.merged) {
+    // The base version moved to the server's copy, so local state must hold the merge
+    const type = Object.keys(SAVE_ACTIONS).find((key) => SAVE_ACTIONS[key] === action);
+    window[type] = (window[type] || []).map((record) =>
+      record.id === result.merged.id ? result.merged : record
+    );
+    window.saveLocalData?.();
+    window.renderAll?.();
+  }
+
+  if (result.conflict) {
+    // Changed on another device since our last sync - pull and merge now
+    window.showToast?.('Запись изменена на другом устройстве, выполняется слияние');
+    window.checkConnectionAndSync();
+  } else if (result.queued && !result.success) {
+    if (result.error) {
+      window.showToast?.(`Сохранено локально, ошибка синхронизации: ${result.error}`);
+    } else if (syncManager.isOnline) {
       window.showToast?.('Сохранено локально, синхронизируется позже');
     } else {
       window.showToast?.('Офлайн: сохранено локально');
@@ -99,7 +338,7 @@ window.pushToSheets = async function (action, data) {
 
 /**
  * Track a deleted item to prevent resurrection during sync.
- * @param {'clients'|'sessions'} type
+ * @param {'clients'|'sessions'|'payments'} type
  * @param {string} id
  */
 window.trackDeleted = function (type, id) {
@@ -112,7 +351,7 @@ window.trackDeleted = function (type, id) {
  */
 window.forceSyncNow = async function () {
   if (!syncManager.isConfigured) {
-    window.showToast?.('Сначала настройте Google Sheets');
+    window.showToast?.('Сначала настройте синхронизацию');
     return;
   }
 
@@ -125,26 +364,16 @@ window.forceSyncNow = async function () {
   }
 
   // Get current local data
-  const localClients = window.clients || [];
-  const localSessions = window.sessions || [];
+  const local = snapshotLocalRecords();
 
   // Force process queue
   const queueResult = await syncManager.forceProcessQueue();
 
   // Perform full sync
-  const merged = await syncManager.sync(localClients, localSessions);
+  const merged = await syncManager.sync(local.clients, local.sessions, local.payments);
 
   if (merged) {
-    window.clients = merged.clients;
-    window.sessions = merged.sessions;
-
-    if (typeof window.saveLocalData === 'function') {
-      window.saveLocalData();
-    }
-
-    if (typeof window.renderAll === 'function') {
-      window.renderAll();
-    }
+    applySyncResult(local, merged);
   }
 
   // Update UI
@@ -169,12 +398,323 @@ window.getSyncQueueLength = function () {
 };
 
 /**
- * Update script URL in sync manager.
+ * Get sync queue state: pending, waiting for retry and dead-lettered items.
+ * Used by UI to display queue status.
+ * @returns {{pending: number, waiting: number, failed: number, nextRetryAt: string|null}}
+ */
+window.getSyncQueueStatus = function () {
+  return syncManager.queueStatus;
+};
+
+/**
+ * Put operations that stopped being retried back into the queue and sync.
+ * Called from the queue inspector.
+ */
+window.retryFailedSync = async function () {
+  syncManager.retryFailed();
+  await window.forceSyncNow();
+};
+
+/**
+ * Get pending and dead-lettered operations.
+ * Used by the queue inspector.
+ * @returns {Array}
+ */
+window.getSyncQueueItems = function () {
+  return syncManager.queueItems;
+};
+
+/**
+ * Retry one queued operation now.
+ * @param {string} id - Data ID of the operation
+ * @returns {Promise<boolean>} - Whether it was sent
+ */
+window.retrySyncQueueItem = async function (id) {
+  if (!syncManager.isOnline) {
+    await syncManager.checkConnection();
+  }
+  return syncManager.retryQueueItem(id);
+};
+
+/**
+ * Discard one queued operation, keeping the rest of the queue.
+ * @param {string} id - Data ID of the operation
+ */
+window.discardSyncQueueItem = function (id) {
+  syncManager.discardQueueItem(id);
+};
+
+/**
+ * Update sync backend and its URL in sync manager.
  * Called when settings are saved.
+ * @param {'googleSheets'|'rest'} type
  * @param {string} url
  */
-window.updateSyncScriptUrl = function (url) {
-  syncManager.setScriptUrl(url);
+window.updateSyncBackend = function (type, url) {
+  syncManager.setBackend(type, url);
+};
+
+/**
+ * Update API key in sync manager.
+ * Called when settings are saved.
+ * @param {string} key
+ */
+window.updateSyncApiKey = function (key) {
+  syncManager.setApiKey(key);
+};
+
+/**
+ * Update encryption settings in sync manager.
+ * Called when settings are saved.
+ * @param {string} passphrase - '' turns encryption off
+ * @param {boolean} encryptNames - Also encrypt client names
+ */
+window.updateSyncEncryption = function (passphrase, encryptNames) {
+  syncManager.setEncryption(passphrase, encryptNames);
+};
+
+/**
+ * Get the name of this device.
+ * Used by the settings form.
+ * @returns {string}
+ */
+window.getDeviceName = function () {
+  return device.name;
+};
+
+/**
+ * Rename this device ('' restores the default name).
+ * Called when settings are saved.
+ * @param {string} name
+ */
+window.updateDeviceName = function (name) {
+  device.name = name;
+};
+
+/**
+ * Get the change journal of a record, newest first.
+ * Used by the "История изменений" screen.
+ * @param {'clients'|'sessions'|'payments'} type
+ * @param {string} id
+ * @returns {Promise<Array|null>} - null if the journal is unavailable
+ */
+window.getRecordHistory = async function (type, id) {
+  const entries = await syncManager.getHistory(type, id);
+  return entries?.map((entry) => ({
+    ...entry,
+    isThisDevice: entry.deviceId === device.id
+  })) ?? null;
+};
+
+/**
+ * Get the reports of the latest syncs, newest first.
+ * Used by the "История синхронизаций" screen.
+ * @returns {Array<Object>}
+ */
+window.getSyncReports = function () {
+  return syncManager.syncReports;
+};
+
+/**
+ * Get unresolved sync conflicts.
+ * Used by the "Конфликты" screen.
+ * @returns {Array}
+ */
+window.getSyncConflicts = function () {
+  return syncManager.conflicts;
+};
+
+/**
+ * Resolve a sync conflict, update local data and push the result.
+ * @param {'clients'|'sessions'|'payments'} type
+ * @param {string} id
+ * @param {Object} values - Chosen value per conflicting field
+ */
+window.resolveSyncConflict = function (type, id, values) {
+  const list = window[type] || [];
+  const index = list.findIndex((record) => record.id === id);
+  if (index === -1) {
+    return;
+  }
+
+  const resolved = syncManager.resolveConflict(type, list[index], values);
+  if (!resolved) {
+    return;
+  }
+
+  list[index] = resolved;
+  window.saveLocalData?.();
+  window.renderAll?.();
+  window.pushToSheets(SAVE_ACTIONS[type], resolved);
+};
+
+/**
+ * Compute what a recovery would change on the overwritten side.
+ * Used by the "Восстановление" screen before asking for confirmation.
+ * @param {'push'|'pull'} direction - 'push' writes this device to the backend,
+ *   'pull' replaces this device with the backend's data
+ * @returns {Promise<Object>} - Plan for applySyncRecovery, see SyncManager.previewRecovery
+ * @throws {Error} With a message for the user
+ */
+window.previewSyncRecovery = async function (direction) {
+  if (!syncManager.isConfigured) {
+    throw new Error('Сначала настройте синхронизацию');
+  }
+  await syncManager.checkConnection();
+
+  return syncManager.previewRecovery(
+    direction,
+    window.clients || [],
+    window.sessions || [],
+    window.payments || []
+  );
+};
+
+/**
+ * Carry out a confirmed recovery (the overwritten side is backed up first)
+ * and show the resulting local data.
+ * @param {Object} plan - From previewSyncRecovery
+ * @throws {Error} With a message for the user
+ */
+window.applySyncRecovery = async function (plan) {
+  const records = await syncManager.applyRecovery(plan);
+
+  window.clients = records.clients;
+  window.sessions = records.sessions;
+  window.payments = records.payments;
+  window.saveLocalData?.();
+  window.renderAll?.();
+};
+
+/**
+ * Get the backups taken before recoveries, newest first.
+ * Used by the "Восстановление" screen.
+ * @returns {Promise<Array<Object>>}
+ */
+window.getSyncBackups = function () {
+  return syncManager.getBackups();
+};
+
+/**
+ * Check the data on this device and, when online, the data stored by the backend.
+ * Used by the "Проверка данных" screen.
+ * @param {Object<string, {symbol: string}>} currencies - Currencies the app knows
+ * @returns {Promise<{local: Array<Object>, remote: Array<Object>|null}>} - Issues,
+ *   see IntegrityService; remote is null if the backend could not be checked
+ */
+window.checkDataIntegrity = async function (currencies) {
+  const local = new IntegrityService(currencies).check({
+    clients: window.clients || [],
+    sessions: window.sessions || [],
+    payments: window.payments || []
+  });
+
+  const remote = (await syncManager.checkConnection())
+    ? await syncManager.checkRemoteIntegrity()
+    : null;
+
+  return { local, remote };
+};
+
+/**
+ * Apply the fixes of local issues and sync the repaired records.
+ * @param {Array<Object>} issues - Local issues from checkDataIntegrity
+ */
+window.repairLocalIntegrity = function (issues) {
+  applyLocalChanges(
+    new IntegrityService().repair(
+      { clients: window.clients || [], sessions: window.sessions || [], payments: window.payments || [] },
+      issues
+    )
+  );
+};
+
+/**
+ * Apply every available fix to the data stored by the backend, then pull the result.
+ * @returns {Promise<{fixed: number, remaining: number}|null>} - null if it failed
+ */
+window.repairRemoteIntegrity = async function () {
+  const result = await syncManager.repairRemoteIntegrity();
+  if (result) {
+    await window.checkConnectionAndSync();
+  }
+  return result;
+};
+
+/**
+ * Create the upcoming sessions of all recurring series.
+ * Called from index.html after loading and after every sync.
+ */
+window.extendSessionSeries = function () {
+  const changes = seriesService.extend(
+    { clients: window.clients || [], sessions: window.sessions || [] },
+    localToday()
+  );
+  if (changes.saved.length > 0) {
+    applyLocalChanges(changes);
+  }
+};
+
+/**
+ * Add or change a recurring series of a client and update its upcoming sessions.
+ * @param {string} clientId
+ * @param {Object} series - See SeriesService
+ */
+window.saveSessionSeries = function (clientId, series) {
+  applyLocalChanges(
+    seriesService.save(
+      { clients: window.clients || [], sessions: window.sessions || [] },
+      clientId,
+      series,
+      localToday()
+    )
+  );
+};
+
+/**
+ * End a recurring series of a client, removing its upcoming scheduled sessions.
+ * @param {string} clientId
+ * @param {string} seriesId
+ */
+window.removeSessionSeries = function (clientId, seriesId) {
+  applyLocalChanges(
+    seriesService.remove(
+      { clients: window.clients || [], sessions: window.sessions || [] },
+      clientId,
+      seriesId,
+      localToday()
+    )
+  );
+};
+
+/**
+ * Compute the ledger of every client: what each session was paid with,
+ * debts and prepayments (see LedgerService).
+ * Called by the render functions in index.html.
+ * @returns {Map<string, Object>} - Client ID -> ledger
+ */
+window.getClientLedgers = function () {
+  return ledgerService.build(window.clients || [], window.sessions || [], window.payments || []);
+};
+
+/**
+ * Write sessions as an iCalendar (.ics) file.
+ * @param {Array} sessions - Sessions to export
+ * @returns {string}
+ */
+window.exportSessionsIcs = function (sessions) {
+  return icsService.export(sessions, window.clients || []);
+};
+
+/**
+ * Read the events of an iCalendar (.ics) file, matched to clients by title.
+ * Recurring events are read up to today.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} - Events, see IcsService
+ * @throws {Error} If the text is not an iCalendar file
+ */
+window.readIcsEvents = function (text) {
+  return icsService.parse(text, window.clients || [], localToday());
 };
 
 /**
@@ -185,24 +725,64 @@ window.clearSyncQueue = function () {
   syncManager.clearQueue();
 };
 
-// Setup online/offline event listeners
-window.addEventListener('online', () => {
-  console.log('Network online');
-  syncManager.checkConnection().then((isOnline) => {
-    if (isOnline) {
-      // Auto-sync when coming back online
-      const localClients = window.clients || [];
-      const localSessions = window.sessions || [];
-      syncManager.sync(localClients, localSessions).then((merged) => {
-        if (merged) {
-          window.clients = merged.clients;
-          window.sessions = merged.sessions;
-          window.saveLocalData?.();
-          window.renderAll?.();
-        }
-      });
+/**
+ * Register the service worker and offer a reload when a new version is installed.
+ * The new worker waits until the user accepts, so a running page never
+ * mixes files of two versions.
+ */
+async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+
+  let updateAccepted = false;
+
+  const promptUpdate = (worker) => {
+    window.showUpdateBanner?.(() => {
+      updateAccepted = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+  };
+
+  // The accepted worker took over - reload to run the new version.
+  // (On the very first install the worker also takes over, but nothing changed.)
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateAccepted) {
+      window.location.reload();
     }
   });
+
+  try {
+    const registration = await navigator.serviceWorker.register('./sw.js');
+
+    // Installed during an earlier visit and still waiting
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      promptUpdate(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          promptUpdate(worker);
+        }
+      });
+    });
+  } catch (e) {
+    console.error('Service worker registration failed', e);
+  }
+}
+
+registerServiceWorker();
+
+// Sync periodically, after local changes, on return to the app and when the
+// network comes back; queued changes go to the service worker while hidden
+syncManager.startAutoSync(window.checkConnectionAndSync);
+
+// Setup online/offline event listeners (syncing when back online is done by the scheduler)
+window.addEventListener('online', () => {
+  console.log('Network online');
 });
 
 window.addEventListener('offline', () => {
@@ -0,0 +1,118 @@
+/**
+ * BackgroundSyncService - hands queued changes to the service worker, so they
+ * are sent even after the tab is closed (Background Sync API).
+ *
+ * The service worker can read neither localStorage (the queue) nor the
+ * encryption passphrase, so the page stages a ready batch in IndexedDB:
+ * encrypted records, the request to send and a non-extractable signing key.
+ * sw.js signs and sends it on the `sync` event and stores the per-item
+ * results; the page collects them when it is shown again.
+ *
+ * Outbox record:
+ * { request, items: [{action, id, timestamp}], stagedAt, results?, sentAt? }
+ */
+
+/**
+ * Must match the names used in sw.js
+ */
+const DB_NAME = 'therapy-background-sync';
+const STORE_NAME = 'outbox';
+const OUTBOX_KEY = 'batch';
+const SYNC_TAG = 'therapy-sync-queue';
+
+export class BackgroundSyncService {
+  /**
+   * Check if the browser can flush the outbox after the tab closes
+   * @returns {boolean}
+   */
+  get isSupported() {
+    return (
+      'serviceWorker' in navigator &&
+      typeof window.SyncManager === 'function' &&
+      typeof indexedDB !== 'undefined'
+    );
+  }
+
+  /**
+   * Replace the outbox with a new batch and ask the browser for a sync event
+   * @param {Object} record - Outbox record without results
+   * @returns {Promise<boolean>} - Whether the batch was handed over
+   */
+  async stage(record) {
+    try {
+      await this.#transaction('readwrite', (store) =>
+        store.put({ ...record, stagedAt: new Date().toISOString() }, OUTBOX_KEY)
+      );
+
+      const registration = await navigator.serviceWorker.ready;
+      await registration.sync.register(SYNC_TAG);
+      return true;
+    } catch (e) {
+      console.error('BackgroundSyncService: failed to stage the outbox', e);
+      return false;
+    }
+  }
+
+  /**
+   * Remove the outbox and return it. A record with `results` was sent by
+   * the service worker; one without them was never sent.
+   * @returns {Promise<Object|null>}
+   */
+  async take() {
+    if (typeof indexedDB === 'undefined') {
+      return null;
+    }
+
+    try {
+      let record = null;
+      await this.#transaction('readwrite', (store) => {
+        const request = store.get(OUTBOX_KEY);
+        request.onsuccess = () => {
+          record = request.result || null;
+          if (record) {
+            store.delete(OUTBOX_KEY);
+          }
+        };
+      });
+      return record;
+    } catch (e) {
+      console.error('BackgroundSyncService: failed to read the outbox', e);
+      return null;
+    }
+  }
+
+  /**
+   * Run requests in one transaction of the outbox store
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => void} callback
+   * @returns {Promise<void>} - Resolves when the transaction completes
+   */
+  async #transaction(mode, callback) {
+    const db = await openDatabase();
+
+    try {
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+        callback(transaction.objectStore(STORE_NAME));
+      });
+    } finally {
+      db.close();
+    }
+  }
+}
+
+/**
+ * Open (and on first use create) the outbox database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
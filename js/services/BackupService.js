@@ -0,0 +1,56 @@
+import { RecordRepository } from './RecordRepository.js';
+
+/**
+ * BackupService - copies of all records taken before one side of the sync
+ * is overwritten (see SyncManager.applyRecovery).
+ *
+ * This service is responsible for:
+ * - Storing backups on this device (LocalStorageService, "backups" store)
+ * - Keeping only the latest backups
+ *
+ * Backup: { id, createdAt, direction, source, label, clients, sessions, payments }
+ * - direction - recovery that was about to run ('push' or 'pull')
+ * - source - whose records were saved: 'device' or 'remote' (the backend)
+ * - label - human-readable name of the source
+ */
+export class BackupService {
+  #store;
+  #maxBackups;
+
+  /**
+   * @param {import('./LocalStorageService.js').LocalStorageService} storage
+   * @param {number} maxBackups - Backups to keep
+   */
+  constructor(storage, maxBackups = 10) {
+    this.#store = new RecordRepository(storage, 'backups');
+    this.#maxBackups = maxBackups;
+  }
+
+  /**
+   * Get all backups, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAll() {
+    const backups = await this.#store.getAll();
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Store a backup, dropping the oldest ones over the limit
+   * @param {{direction: string, source: string, label: string, clients: Array, sessions: Array, payments: Array}} backup
+   * @returns {Promise<Object>} - The stored backup
+   * @throws {Error} If the storage rejected the write
+   */
+  async add(backup) {
+    const createdAt = new Date().toISOString();
+    const stored = {
+      id: `${createdAt}-${backup.direction}`,
+      createdAt,
+      ...backup
+    };
+
+    const backups = [stored, ...(await this.getAll())].slice(0, this.#maxBackups);
+    await this.#store.saveAll(backups);
+    return stored;
+  }
+}
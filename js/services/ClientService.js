@@ -0,0 +1,14 @@
+import { RecordRepository } from './RecordRepository.js';
+
+/**
+ * ClientService - clients stored on this device.
+ * Data saved by older versions under "therapy_clients" is moved over on first load.
+ */
+export class ClientService extends RecordRepository {
+  /**
+   * @param {import('./LocalStorageService.js').LocalStorageService} storage
+   */
+  constructor(storage) {
+    super(storage, 'clients', { legacy: { key: 'therapy_clients' } });
+  }
+}
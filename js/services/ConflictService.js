@@ -0,0 +1,269 @@
+/**
+ * ConflictService - tracks the last known server version of each record and
+ * the conflicts that need a manual decision.
+ *
+ * This service is responsible for:
+ * - Keeping base snapshots (the last version seen in the sheet) per record
+ * - Three-way merging local and remote versions against their base
+ * - Storing unresolved field conflicts for the "Конфликты" screen
+ * - Persisting its state to localStorage
+ */
+
+/**
+ * Fields that are bookkeeping, not user data - never compared or merged
+ */
+const META_FIELDS = new Set(['id', 'createdAt', 'updatedAt', 'baseUpdatedAt']);
+
+export class ConflictService {
+  #bases;
+  #conflicts;
+  #storageKeyBases;
+  #storageKeyConflicts;
+  #saveScheduled;
+
+  /**
+   * @param {string} storageKeyBases - localStorage key for base snapshots
+   * @param {string} storageKeyConflicts - localStorage key for unresolved conflicts
+   */
+  constructor(
+    storageKeyBases = 'therapy_sync_base',
+    storageKeyConflicts = 'therapy_conflicts'
+  ) {
+    this.#storageKeyBases = storageKeyBases;
+    this.#storageKeyConflicts = storageKeyConflicts;
+    this.#bases = { clients: {}, sessions: {}, payments: {} };
+    this.#conflicts = [];
+    this.#saveScheduled = false;
+    this.#load();
+  }
+
+  /**
+   * Get the number of unresolved conflicts
+   * @returns {number}
+   */
+  get length() {
+    return this.#conflicts.length;
+  }
+
+  /**
+   * Get the last known server version of a record
+   * @param {'clients'|'sessions'|'payments'} type - Entity type
+   * @param {string} id - Entity ID
+   * @returns {Object|null}
+   */
+  getBase(type, id) {
+    return this.#bases[type]?.[id] || null;
+  }
+
+  /**
+   * Remember a record as the last known server version
+   * @param {'clients'|'sessions'|'payments'} type - Entity type
+   * @param {Object} record - Record as stored in the sheet
+   */
+  setBase(type, record) {
+    if (!this.#bases[type]) {
+      this.#bases[type] = {};
+    }
+    this.#bases[type][record.id] = record;
+    this.#scheduleSave();
+  }
+
+  /**
+   * Forget the base version of a deleted record
+   * @param {'clients'|'sessions'|'payments'} type - Entity type
+   * @param {string} id - Entity ID
+   */
+  removeBase(type, id) {
+    if (this.#bases[type]?.[id]) {
+      delete this.#bases[type][id];
+      this.#scheduleSave();
+    }
+    this.remove(type, id);
+  }
+
+  /**
+   * Three-way merge of a record changed locally and/or remotely.
+   * Fields changed on one side only take that side's value; fields changed on
+   * both sides to different values are reported as conflicts (the local value
+   * is kept in the merged record until resolved).
+   * @param {Object} base - Last known server version
+   * @param {Object} local - Local version
+   * @param {Object} remote - Current server version
+   * @returns {{record: Object, changedLocally: boolean, changedRemotely: boolean, conflicts: Array}}
+   */
+  merge(base, local, remote) {
+    const record = { ...remote, ...local };
+    const conflicts = [];
+    let changedLocally = false;
+    let changedRemotely = false;
+
+    const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+    fields.forEach((field) => {
+      if (META_FIELDS.has(field)) return;
+
+      const localChanged = !valuesEqual(local[field], base[field]);
+      const remoteChanged = !valuesEqual(remote[field], base[field]);
+
+      if (localChanged) changedLocally = true;
+      if (remoteChanged) changedRemotely = true;
+
+      if (remoteChanged && !localChanged) {
+        record[field] = remote[field];
+      } else if (
+        localChanged &&
+        remoteChanged &&
+        !valuesEqual(local[field], remote[field])
+      ) {
+        conflicts.push({
+          field,
+          base: base[field],
+          local: local[field],
+          remote: remote[field]
+        });
+      }
+    });
+
+    record.updatedAt = changedLocally ? local.updatedAt : remote.updatedAt;
+
+    return { record, changedLocally, changedRemotely, conflicts };
+  }
+
+  /**
+   * Store (or replace) the unresolved conflict of a record
+   * @param {'clients'|'sessions'|'payments'} type - Entity type
+   * @param {Object} remote - Server version the local edits clash with
+   * @param {Array} fields - Conflicting fields from merge()
+   */
+  add(type, remote, fields) {
+    this.#conflicts = this.#conflicts.filter(
+      (c) => !(c.type === type && c.id === remote.id)
+    );
+    this.#conflicts.push({
+      type,
+      id: remote.id,
+      remote,
+      fields,
+      detectedAt: new Date().toISOString()
+    });
+    this.#scheduleSave();
+  }
+
+  /**
+   * Check whether a record has an unresolved conflict
+   * @param {'clients'|'sessions'|'payments'} type - Entity type
+   * @param {string} id - Entity ID
+   * @returns {boolean}
+   */
+  has(type, id) {
+    return this.#conflicts.some((c) => c.type === type && c.id === id);
+  }
+
+  /**
+   * Get a record's unresolved conflict
+   * @param {'clients'|'sessions'|'payments'} type - Entity type
+   * @param {string} id - Entity ID
+   * @returns {Object|null}
+   */
+  get(type, id) {
+    return this.#conflicts.find((c) => c.type === type && c.id === id) || null;
+  }
+
+  /**
+   * Get all unresolved conflicts
+   * @returns {Array}
+   */
+  getAll() {
+    return [...this.#conflicts];
+  }
+
+  /**
+   * Drop a record's conflict
+   * @param {'clients'|'sessions'|'payments'} type - Entity type
+   * @param {string} id - Entity ID
+   */
+  remove(type, id) {
+    const before = this.#conflicts.length;
+    this.#conflicts = this.#conflicts.filter(
+      (c) => !(c.type === type && c.id === id)
+    );
+    if (this.#conflicts.length !== before) {
+      this.#scheduleSave();
+    }
+  }
+
+  /**
+   * Forget all base snapshots and conflicts
+   */
+  clear() {
+    this.#bases = { clients: {}, sessions: {}, payments: {} };
+    this.#conflicts = [];
+    this.#scheduleSave();
+  }
+
+  /**
+   * Load state from localStorage
+   */
+  #load() {
+    try {
+      const savedBases = localStorage.getItem(this.#storageKeyBases);
+      const savedConflicts = localStorage.getItem(this.#storageKeyConflicts);
+
+      this.#bases = savedBases
+        ? JSON.parse(savedBases)
+        : { clients: {}, sessions: {}, payments: {} };
+      this.#conflicts = savedConflicts ? JSON.parse(savedConflicts) : [];
+    } catch (e) {
+      console.error('ConflictService: failed to load from localStorage', e);
+      this.#bases = { clients: {}, sessions: {}, payments: {} };
+      this.#conflicts = [];
+    }
+  }
+
+  /**
+   * Save once after the current synchronous batch of changes
+   * (a full merge updates every base at once)
+   */
+  #scheduleSave() {
+    if (this.#saveScheduled) return;
+
+    this.#saveScheduled = true;
+    queueMicrotask(() => {
+      this.#saveScheduled = false;
+      this.#save();
+    });
+  }
+
+  /**
+   * Save state to localStorage
+   */
+  #save() {
+    try {
+      localStorage.setItem(this.#storageKeyBases, JSON.stringify(this.#bases));
+      localStorage.setItem(
+        this.#storageKeyConflicts,
+        JSON.stringify(this.#conflicts)
+      );
+    } catch (e) {
+      console.error('ConflictService: failed to save to localStorage', e);
+    }
+  }
+}
+
+/**
+ * Compare field values the way the sheet stores them:
+ * missing and empty are the same, numbers may come back as strings
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function valuesEqual(a, b) {
+  const left = a === undefined || a === null ? '' : a;
+  const right = b === undefined || b === null ? '' : b;
+
+  if (typeof left === typeof right) {
+    return JSON.stringify(left) === JSON.stringify(right);
+  }
+
+  return String(left) === String(right);
+}
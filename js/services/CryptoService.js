@@ -0,0 +1,199 @@
+/**
+ * CryptoService - encrypts record fields with a passphrase before they leave the device.
+ *
+ * This service is responsible for:
+ * - Deriving AES-GCM keys from the passphrase (PBKDF2-SHA256)
+ * - Encrypting and decrypting single field values
+ * - Creating and checking the key check value the server keeps, so a wrong
+ *   passphrase is detected before anything is written
+ *
+ * Encrypted values look like `enc1:<salt>:<iv>:<ciphertext>` (base64 parts).
+ * Each device encrypts with its own random salt; keys are cached per salt.
+ */
+
+/**
+ * Prefix of encrypted values
+ */
+const PREFIX = 'enc1:';
+
+/**
+ * PBKDF2 iterations
+ */
+const KDF_ITERATIONS = 250000;
+
+/**
+ * Plain text of the key check value
+ */
+const KEY_CHECK_TEXT = 'therapy-key-check';
+
+export class CryptoService {
+  #passphrase;
+  #salt;
+  #keys;
+
+  /**
+   * @param {string} passphrase - Encryption passphrase ('' disables encryption)
+   */
+  constructor(passphrase = '') {
+    this.passphrase = passphrase;
+  }
+
+  /**
+   * Check if encryption is enabled
+   * @returns {boolean}
+   */
+  get isEnabled() {
+    return Boolean(this.#passphrase);
+  }
+
+  /**
+   * Get the current passphrase
+   * @returns {string}
+   */
+  get passphrase() {
+    return this.#passphrase;
+  }
+
+  /**
+   * Update the passphrase (drops all derived keys)
+   * @param {string} passphrase
+   */
+  set passphrase(passphrase) {
+    this.#passphrase = passphrase;
+    this.#salt = crypto.getRandomValues(new Uint8Array(16));
+    this.#keys = new Map();
+  }
+
+  /**
+   * Check whether a value was produced by encrypt()
+   * @param {*} value
+   * @returns {boolean}
+   */
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  /**
+   * Encrypt a field value
+   * @param {string} text
+   * @returns {Promise<string>}
+   */
+  async encrypt(text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      await this.#getKey(this.#salt),
+      new TextEncoder().encode(text)
+    );
+
+    return (
+      PREFIX +
+      [this.#salt, iv, new Uint8Array(ciphertext)].map(toBase64).join(':')
+    );
+  }
+
+  /**
+   * Decrypt a field value
+   * @param {string} value - Value produced by encrypt()
+   * @returns {Promise<string>}
+   * @throws {Error} If the value is malformed or the passphrase is wrong
+   */
+  async decrypt(value) {
+    const parts = value.slice(PREFIX.length).split(':');
+    if (parts.length !== 3) {
+      throw new Error('Malformed encrypted value');
+    }
+
+    const [salt, iv, ciphertext] = parts.map(fromBase64);
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv },
+      await this.#getKey(salt),
+      ciphertext
+    );
+
+    return new TextDecoder().decode(plaintext);
+  }
+
+  /**
+   * Create the key check value for a sheet that has none yet
+   * @returns {Promise<string>}
+   */
+  createKeyCheck() {
+    return this.encrypt(KEY_CHECK_TEXT);
+  }
+
+  /**
+   * Check that the passphrase matches the one the sheet was encrypted with
+   * @param {string} keyCheck - Key check value stored on the server
+   * @returns {Promise<boolean>}
+   */
+  async verifyKeyCheck(keyCheck) {
+    if (!CryptoService.isEncrypted(keyCheck)) {
+      return false;
+    }
+
+    try {
+      return (await this.decrypt(keyCheck)) === KEY_CHECK_TEXT;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Derive (or reuse) the key for a salt
+   * @param {Uint8Array} salt
+   * @returns {Promise<CryptoKey>}
+   */
+  #getKey(salt) {
+    const cacheKey = toBase64(salt);
+
+    if (!this.#keys.has(cacheKey)) {
+      this.#keys.set(cacheKey, deriveKey(this.#passphrase, salt));
+    }
+    return this.#keys.get(cacheKey);
+  }
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: KDF_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
@@ -0,0 +1,107 @@
+/**
+ * DeviceIdentity - stable identity of this app installation.
+ *
+ * The ID is generated once and kept in localStorage; the name is editable in
+ * settings. Both are sent with sync requests, so the change journal in the
+ * sheet ("Журнал") shows which device made each change.
+ */
+export class DeviceIdentity {
+  #storageKey;
+  #id;
+  #name;
+
+  /**
+   * @param {string} storageKey - localStorage key for the identity
+   */
+  constructor(storageKey = 'therapy_device') {
+    this.#storageKey = storageKey;
+    this.#load();
+  }
+
+  /**
+   * Get the device ID
+   * @returns {string}
+   */
+  get id() {
+    return this.#id;
+  }
+
+  /**
+   * Get the device name
+   * @returns {string}
+   */
+  get name() {
+    return this.#name;
+  }
+
+  /**
+   * Update the device name ('' restores the default name)
+   * @param {string} name
+   */
+  set name(name) {
+    this.#name = name.trim() || defaultDeviceName();
+    this.#save();
+  }
+
+  /**
+   * Load the identity from localStorage, creating it on first run
+   */
+  #load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.#storageKey));
+      if (saved?.id) {
+        this.#id = saved.id;
+        this.#name = saved.name || defaultDeviceName();
+        return;
+      }
+    } catch (e) {
+      console.error('DeviceIdentity: failed to load from localStorage', e);
+    }
+
+    this.#id = crypto.randomUUID();
+    this.#name = defaultDeviceName();
+    this.#save();
+  }
+
+  /**
+   * Save the identity to localStorage
+   */
+  #save() {
+    try {
+      localStorage.setItem(
+        this.#storageKey,
+        JSON.stringify({ id: this.#id, name: this.#name })
+      );
+    } catch (e) {
+      console.error('DeviceIdentity: failed to save to localStorage', e);
+    }
+  }
+}
+
+/**
+ * Name from the platform and browser, e.g. "iPhone, Safari"
+ * @returns {string}
+ */
+function defaultDeviceName() {
+  const ua = navigator.userAgent;
+
+  const platform =
+    [
+      [/iPhone/, 'iPhone'],
+      [/iPad/, 'iPad'],
+      [/Android/, 'Android'],
+      [/Mac OS X|Macintosh/, 'Mac'],
+      [/Windows/, 'Windows'],
+      [/Linux/, 'Linux']
+    ].find(([pattern]) => pattern.test(ua))?.[1] || 'Устройство';
+
+  // Order matters: Edge and Chrome also mention Safari, Edge mentions Chrome
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/Firefox\/|FxiOS/, 'Firefox'],
+    [/Chrome\/|CriOS/, 'Chrome'],
+    [/Safari\//, 'Safari']
+  ].find(([pattern]) => pattern.test(ua))?.[1];
+
+  return browser ? `${platform}, ${browser}` : platform;
+}
@@ -1,22 +1,80 @@
+import { SyncBackend } from './SyncBackend.js';
+import { RequestSigner } from './RequestSigner.js';
+
 /**
  * GoogleSheetsService - handles all HTTP communication with Google Apps Script backend.
+ * Implements the SyncBackend interface.
  *
  * This service is responsible for:
  * - Making API calls to Google Sheets via Apps Script
- * - Handling URL length limitations
- * - Data truncation for long notes
+ * - Fetching incremental changes since a cursor
+ * - Sending writes as text/plain POST bodies, so long notes are never cut
+ * - Rejecting records that would not fit into a spreadsheet cell
+ * - Packing queued writes into batch requests
+ * - Signing every request with the shared API key
+ * - Sending the device identity, so the sheet journals who changed what
+ */
+
+/**
+ * Actions the Apps Script `batch` action can apply
  */
-export class GoogleSheetsService {
+const BATCH_ACTIONS = new Set([
+  'saveClient',
+  'saveSession',
+  'savePayment',
+  'deleteClient',
+  'deleteSession',
+  'deletePayment'
+]);
+
+/**
+ * Google Sheets rejects cells longer than this
+ */
+const MAX_CELL_LENGTH = 50000;
+
+export class GoogleSheetsService extends SyncBackend {
   #scriptUrl;
-  #maxUrlLength;
+  #maxBatchItems;
+  #signer;
+  #authFailed;
+  #device;
 
   /**
    * @param {string} scriptUrl - Google Apps Script deployment URL
-   * @param {number} maxUrlLength - Maximum URL length (default 1800 for safety)
+   * @param {number} maxBatchItems - Maximum operations per batch request
+   * @param {string} apiKey - Shared secret used to sign requests
    */
-  constructor(scriptUrl, maxUrlLength = 1800) {
+  constructor(scriptUrl, maxBatchItems = 100, apiKey = '') {
+    super();
     this.#scriptUrl = scriptUrl;
-    this.#maxUrlLength = maxUrlLength;
+    this.#maxBatchItems = maxBatchItems;
+    this.#signer = new RequestSigner(apiKey);
+    this.#authFailed = false;
+    this.#device = null;
+  }
+
+  /**
+   * Backend name for status texts
+   * @returns {string}
+   */
+  get label() {
+    return 'Google Sheets';
+  }
+
+  /**
+   * Get the endpoint URL (same as scriptUrl)
+   * @returns {string}
+   */
+  get url() {
+    return this.#scriptUrl;
+  }
+
+  /**
+   * Update the endpoint URL (same as scriptUrl)
+   * @param {string} url
+   */
+  set url(url) {
+    this.#scriptUrl = url;
   }
 
   /**
@@ -36,15 +94,41 @@ export class GoogleSheetsService {
   }
 
   /**
-   * Check if service is configured with a valid URL
+   * Update the API key used to sign requests
+   * @param {string} key
+   */
+  set apiKey(key) {
+    this.#signer.secret = key;
+    this.#authFailed = false;
+  }
+
+  /**
+   * Set the identity sent with every request (read at send time,
+   * so a renamed device is picked up without calling this again)
+   * @param {{id: string, name: string}|null} device
+   */
+  set device(device) {
+    this.#device = device;
+  }
+
+  /**
+   * Check if the last response rejected the API key
+   * @returns {boolean}
+   */
+  get authFailed() {
+    return this.#authFailed;
+  }
+
+  /**
+   * Check if service is configured with a URL and an API key
    * @returns {boolean}
    */
   get isConfigured() {
-    return Boolean(this.#scriptUrl);
+    return Boolean(this.#scriptUrl) && this.#signer.isConfigured;
   }
 
   /**
-   * Ping the server to check connection
+   * Ping the server to check connection (and that the API key is accepted)
    * @returns {Promise<boolean>}
    */
   async ping() {
@@ -53,11 +137,8 @@ export class GoogleSheetsService {
     }
 
     try {
-      const response = await fetch(`${this.#scriptUrl}?action=ping`, {
-        method: 'GET',
-        mode: 'cors'
-      });
-      return response.ok;
+      const result = await this.#get('ping');
+      return !result.error;
     } catch (e) {
       console.error('GoogleSheetsService: ping failed', e);
       return false;
@@ -74,12 +155,8 @@ export class GoogleSheetsService {
     }
 
     try {
-      const response = await fetch(`${this.#scriptUrl}?action=init`, {
-        method: 'GET',
-        mode: 'cors'
-      });
-      const result = await response.json();
-      return result.success !== false;
+      const result = await this.#get('init');
+      return !result.error && result.success !== false;
     } catch (e) {
       console.error('GoogleSheetsService: init failed', e);
       return false;
@@ -88,7 +165,7 @@ export class GoogleSheetsService {
 
   /**
    * Get all data from Google Sheets
-   * @returns {Promise<{clients: Array, sessions: Array, syncedAt: string}|null>}
+   * @returns {Promise<{clients: Array, sessions: Array, payments: Array, syncedAt: string, keyCheck?: string}|null>}
    */
   async getData() {
     if (!this.isConfigured) {
@@ -96,11 +173,7 @@ export class GoogleSheetsService {
     }
 
     try {
-      const response = await fetch(`${this.#scriptUrl}?action=getData`, {
-        method: 'GET',
-        mode: 'cors'
-      });
-      const data = await response.json();
+      const data = await this.#get('getData');
 
       if (data.error) {
         console.error('GoogleSheetsService: getData error', data.error);
@@ -114,13 +187,105 @@ export class GoogleSheetsService {
     }
   }
 
+  /**
+   * Get rows changed after the given cursor, plus deleted IDs
+   * @param {string} since - Cursor returned by the previous getData/getChanges
+   * @returns {Promise<{clients: Array, sessions: Array, payments: Array, deleted: {clients: Array, sessions: Array, payments: Array}, cursor: string, keyCheck?: string}|{invalidCursor: true}|null>}
+   */
+  async getChanges(since) {
+    if (!this.isConfigured) {
+      return null;
+    }
+
+    try {
+      const data = await this.#get('getChanges', { since });
+
+      if (data.error) {
+        // Older script without getChanges - treat like an invalid cursor
+        if (String(data.error).startsWith('Unknown action')) {
+          return { invalidCursor: true };
+        }
+        console.error('GoogleSheetsService: getChanges error', data.error);
+        return null;
+      }
+
+      return data;
+    } catch (e) {
+      console.error('GoogleSheetsService: getChanges failed', e);
+      return null;
+    }
+  }
+
+  /**
+   * Get the change journal of a record from the "Журнал" sheet, newest first
+   * @param {string} id - Record ID
+   * @returns {Promise<Array<{timestamp: string, deviceId: string, deviceName: string, action: string, type: string, changes: Object}>|null>}
+   */
+  async getHistory(id) {
+    if (!this.isConfigured) {
+      return null;
+    }
+
+    try {
+      const data = await this.#get('getHistory', { id });
+
+      if (data.error) {
+        console.error('GoogleSheetsService: getHistory error', data.error);
+        return null;
+      }
+
+      return data.entries;
+    } catch (e) {
+      console.error('GoogleSheetsService: getHistory failed', e);
+      return null;
+    }
+  }
+
+  /**
+   * Check the sheets for orphan sessions, duplicate rows and invalid values
+   * @returns {Promise<Array<Object>|null>} - Issues (see IntegrityService, plus
+   *   the sheet row), or null on failure
+   */
+  async checkIntegrity() {
+    if (!this.isConfigured) {
+      return null;
+    }
+
+    try {
+      const data = await this.#get('checkIntegrity');
+
+      if (data.error) {
+        console.error('GoogleSheetsService: checkIntegrity error', data.error);
+        return null;
+      }
+
+      return data.issues;
+    } catch (e) {
+      console.error('GoogleSheetsService: checkIntegrity failed', e);
+      return null;
+    }
+  }
+
+  /**
+   * Apply every available fix to the sheets
+   * @returns {Promise<{fixed: number, remaining: number}|null>} - null on failure
+   */
+  async repairIntegrity() {
+    const result = await this.#post('repairIntegrity', {});
+    if (!result.success) {
+      return null;
+    }
+    return { fixed: result.response.fixed, remaining: result.response.remaining };
+  }
+
   /**
    * Save a client to Google Sheets
    * @param {Object} client - Client data
    * @returns {Promise<boolean>}
    */
   async saveClient(client) {
-    return this.#pushData('saveClient', client);
+    const result = await this.#post('saveClient', client);
+    return result.success;
   }
 
   /**
@@ -129,7 +294,8 @@ export class GoogleSheetsService {
    * @returns {Promise<boolean>}
    */
   async saveSession(session) {
-    return this.#pushData('saveSession', session);
+    const result = await this.#post('saveSession', session);
+    return result.success;
   }
 
   /**
@@ -138,7 +304,8 @@ export class GoogleSheetsService {
    * @returns {Promise<boolean>}
    */
   async deleteClient(id) {
-    return this.#pushData('deleteClient', { id });
+    const result = await this.#post('deleteClient', { id });
+    return result.success;
   }
 
   /**
@@ -147,105 +314,258 @@ export class GoogleSheetsService {
    * @returns {Promise<boolean>}
    */
   async deleteSession(id) {
-    return this.#pushData('deleteSession', { id });
+    const result = await this.#post('deleteSession', { id });
+    return result.success;
   }
 
   /**
-   * Sync all data to Google Sheets (full overwrite)
-   * @param {Object} data - { clients: Array, sessions: Array }
-   * @returns {Promise<boolean>}
+   * Overwrite the record sheets with the given records (syncAll action).
+   * The script tombstones the rows it removes by itself, so `removed` is not sent.
+   * @param {{clients: Array, sessions: Array, payments: Array}} data - Records, already encrypted
+   * @returns {Promise<{success: boolean, error?: string}>}
    */
-  async syncAll(data) {
-    return this.#pushData('syncAll', data);
+  async replaceAll({ clients, sessions, payments }) {
+    const result = await this.#post('syncAll', { clients, sessions, payments });
+    return { success: result.success, error: result.error };
   }
 
   /**
-   * Internal method to push data to Google Sheets
-   * @param {string} action - API action name
-   * @param {Object} data - Data to send
-   * @returns {Promise<boolean>}
+   * Store the encryption key check value unless the sheet already has one
+   * @param {string} keyCheck - Value from CryptoService.createKeyCheck
+   * @returns {Promise<string|null>} - Key check the sheet holds now, or null on failure
+   */
+  async setKeyCheck(keyCheck) {
+    const result = await this.#post('setKeyCheck', { keyCheck });
+    return result.success ? result.response.keyCheck || null : null;
+  }
+
+  /**
+   * Apply several write operations in as few requests as possible.
+   * Operations the `batch` action does not support are sent one by one.
+   * @param {Array<{action: string, data: Object}>} items - Operations to apply
+   * @returns {Promise<Array<{success: boolean, error?: string, updatedAt?: string, conflict?: boolean, current?: Object, permanent?: boolean, transient?: boolean}>>}
+   *   Result per item, in input order. `updatedAt` is the server timestamp of a saved row;
+   *   `conflict` means the row changed after the version the save was based on
+   *   (`current` is the row as it is now);
+   *   `permanent` - retrying cannot help (the record is too large);
+   *   `transient` - the request did not go through, the item itself was not rejected
    */
-  async #pushData(action, data) {
+  async batch(items) {
+    const results = new Array(items.length);
+
     if (!this.isConfigured) {
-      return false;
+      return results.fill({ success: false, error: 'Not configured', transient: true });
     }
 
-    try {
-      const truncatedData = this.#truncateDataForUrl(data);
-      const url = this.#buildUrl(action, truncatedData);
+    let chunk = [];
 
-      // Check URL length and truncate more if needed
-      if (url.length > this.#maxUrlLength) {
-        console.warn('GoogleSheetsService: URL too long, truncating notes further');
+    const flush = async () => {
+      if (chunk.length === 0) return;
 
-        if (truncatedData.notes !== undefined) {
-          truncatedData.notes = truncatedData.notes
-            ? truncatedData.notes.substring(0, 200)
-            : '';
+      const chunkResults = await this.#sendBatch(chunk.map((entry) => entry.op));
+      chunk.forEach((entry, i) => {
+        results[entry.index] = chunkResults[i];
+      });
+      chunk = [];
+    };
+
+    for (let index = 0; index < items.length; index++) {
+      const { action, data } = items[index];
+      const sizeError = this.#validateSize(data);
+
+      if (sizeError) {
+        results[index] = { success: false, error: sizeError, permanent: true };
+      } else if (!BATCH_ACTIONS.has(action)) {
+        results[index] = await this.#post(action, data);
+      } else {
+        chunk.push({ index, op: { action, data } });
+
+        if (chunk.length >= this.#maxBatchItems) {
+          await flush();
         }
+      }
+    }
 
-        const shortUrl = this.#buildUrl(action, truncatedData);
+    await flush();
 
-        if (shortUrl.length > this.#maxUrlLength) {
-          console.error('GoogleSheetsService: URL still too long after truncation');
-          return false;
-        }
+    return results;
+  }
+
+  /**
+   * Describe a batch request for the service worker (see SyncBackend)
+   * @param {Array<{action: string, data: Object}>} items - Operations, already encrypted
+   * @returns {Promise<Object|null>}
+   */
+  async backgroundRequest(items) {
+    if (!this.isConfigured || items.some(({ action }) => !BATCH_ACTIONS.has(action))) {
+      return null;
+    }
 
-        return this.#executeRequest(shortUrl);
+    return {
+      url: this.#scriptUrl,
+      headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+      signedAction: 'batch',
+      payload: JSON.stringify({ items }),
+      signatureIn: 'body',
+      fields: { action: 'batch', ...this.#deviceFields() },
+      key: await this.#signer.getKey()
+    };
+  }
+
+  /**
+   * Send one batch request
+   * @param {Array<{action: string, data: Object}>} ops - Operations for one request
+   * @returns {Promise<Array<{success: boolean, error?: string}>>}
+   */
+  async #sendBatch(ops) {
+    const result = await this.#post('batch', { items: ops });
+
+    if (!result.success) {
+      // Script deployed before the batch action existed - fall back to one request per item
+      if (String(result.error).startsWith('Unknown action')) {
+        console.warn('GoogleSheetsService: batch not supported, sending items one by one');
+        const fallbackResults = [];
+        for (const op of ops) {
+          fallbackResults.push(await this.#post(op.action, op.data));
+        }
+        return fallbackResults;
       }
 
-      return this.#executeRequest(url);
-    } catch (e) {
-      console.error('GoogleSheetsService: pushData failed', e);
-      return false;
+      return ops.map(() => ({
+        success: false,
+        error: result.error,
+        transient: result.transient
+      }));
     }
+
+    return ops.map((op, i) => {
+      const itemResult = result.response.results?.[i];
+      if (!itemResult || itemResult.id !== op.data.id) {
+        return { success: false, error: 'Missing result' };
+      }
+      return {
+        success: itemResult.success === true,
+        error: itemResult.error,
+        updatedAt: itemResult.updatedAt,
+        conflict: itemResult.conflict === true,
+        current: itemResult.current
+      };
+    });
   }
 
   /**
-   * Execute the actual fetch request
-   * @param {string} url - Full URL to fetch
-   * @returns {Promise<boolean>}
+   * Send a signed read action as a GET request
+   * @param {string} action - API action name
+   * @param {Object} [data] - Query data
+   * @returns {Promise<Object>} - Parsed response (may contain `error`)
    */
-  async #executeRequest(url) {
-    const response = await fetch(url, { method: 'GET', mode: 'cors' });
-    const result = await response.json();
+  async #get(action, data) {
+    const payload = data === undefined ? '' : JSON.stringify(data);
+    const signature = await this.#signer.sign(action, payload);
+    const params = new URLSearchParams({ action, ...signature, ...this.#deviceFields() });
 
-    if (result.error) {
-      console.error('GoogleSheetsService: server error', result.error);
-      return false;
+    if (payload) {
+      params.set('data', payload);
     }
 
-    return result.success !== false;
+    const response = await fetch(`${this.#scriptUrl}?${params.toString()}`, {
+      method: 'GET',
+      mode: 'cors'
+    });
+
+    return this.#checkAuth(await response.json());
   }
 
   /**
-   * Build URL with action and data parameters
-   * @param {string} action - API action
-   * @param {Object} data - Data to encode
-   * @returns {string}
+   * Device identity fields sent along with the signed ones
+   * @returns {{deviceId?: string, deviceName?: string}}
    */
-  #buildUrl(action, data) {
-    const params = new URLSearchParams({
-      action: action,
-      data: JSON.stringify(data)
-    });
-    return `${this.#scriptUrl}?${params.toString()}`;
+  #deviceFields() {
+    if (!this.#device) {
+      return {};
+    }
+    return { deviceId: this.#device.id, deviceName: this.#device.name };
+  }
+
+  /**
+   * Remember whether the server rejected the API key
+   * @param {Object} result - Parsed server response
+   * @returns {Object} - The same response
+   */
+  #checkAuth(result) {
+    this.#authFailed = result.unauthorized === true;
+    return result;
+  }
+
+  /**
+   * Send a write action as a POST request.
+   * The body is sent as text/plain, which keeps it a "simple" CORS request
+   * (Apps Script does not answer preflight), so there is no URL length limit.
+   * The data travels as a JSON string so the server verifies the exact signed bytes.
+   * @param {string} action - API action name
+   * @param {Object} data - Data to send
+   * @returns {Promise<{success: boolean, error?: string, response?: Object, permanent?: boolean, transient?: boolean}>}
+   */
+  async #post(action, data) {
+    if (!this.isConfigured) {
+      return { success: false, error: 'Not configured', transient: true };
+    }
+
+    const sizeError = this.#validateSize(data);
+    if (sizeError) {
+      console.error('GoogleSheetsService: record rejected', sizeError);
+      return { success: false, error: sizeError, permanent: true };
+    }
+
+    try {
+      const payload = JSON.stringify(data);
+      const signature = await this.#signer.sign(action, payload);
+      const response = await fetch(this.#scriptUrl, {
+        method: 'POST',
+        mode: 'cors',
+        headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+        body: JSON.stringify({ action, data: payload, ...signature, ...this.#deviceFields() })
+      });
+      const result = this.#checkAuth(await response.json());
+
+      if (result.error) {
+        console.error('GoogleSheetsService: server error', result.error);
+        // A rejected key or a busy script is not the fault of the record being sent
+        return {
+          success: false,
+          error: result.error,
+          transient: result.unauthorized === true || result.transient === true
+        };
+      }
+
+      return { success: result.success !== false, response: result };
+    } catch (e) {
+      console.error('GoogleSheetsService: request failed', e);
+      return { success: false, error: e.message, transient: true };
+    }
   }
 
   /**
-   * Truncate data fields that might be too long for URL
-   * @param {Object} data - Original data
-   * @returns {Object} - Truncated copy
+   * Check that every text value fits into a spreadsheet cell.
+   * Oversized records are rejected as a whole instead of being cut.
+   * @param {*} value - Record, array of records or a single value
+   * @param {string} [field] - Field name of the value being checked
+   * @returns {string|null} - Error message, or null if everything fits
    */
-  #truncateDataForUrl(data) {
-    const truncated = { ...data };
+  #validateSize(value, field = '') {
+    if (typeof value === 'string') {
+      return value.length > MAX_CELL_LENGTH
+        ? `Поле "${field}" длиннее ${MAX_CELL_LENGTH} символов и не поместится в таблицу`
+        : null;
+    }
 
-    // Truncate notes if too long
-    if (truncated.notes && truncated.notes.length > 500) {
-      truncated.notes = truncated.notes.substring(0, 500) + '...';
-      console.warn('GoogleSheetsService: notes truncated for URL length limit');
+    if (value && typeof value === 'object') {
+      for (const [key, nested] of Object.entries(value)) {
+        const error = this.#validateSize(nested, Array.isArray(value) ? field : key);
+        if (error) return error;
+      }
     }
 
-    return truncated;
+    return null;
   }
 }
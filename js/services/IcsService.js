@@ -0,0 +1,505 @@
+/**
+ * IcsService - sessions as iCalendar (RFC 5545) events.
+ *
+ * This service is responsible for:
+ * - Writing sessions to an .ics file, one VEVENT per session
+ * - Reading the events of an .ics file written by a calendar app, including
+ *   daily and weekly recurring events
+ * - Matching event titles to clients
+ *
+ * Exported events get the UID `${session.id}@therapy-helper`, so importing a
+ * re-exported file into a calendar updates the events instead of duplicating
+ * them. Sessions with a start time become floating-time events (the same wall
+ * clock time in any time zone), sessions without one become all-day events.
+ * Notes are not exported.
+ *
+ * Imported event: { id, uid, title, date, time, duration, cancelled, clientId }
+ * - id - session ID for the event, the same every time the file is read:
+ *   the session's own ID for events this app exported
+ * - time - 'HH:MM' ('' for all-day events); duration - minutes or null
+ * - clientId - client whose name matches the title, or null
+ */
+
+const UID_DOMAIN = '@therapy-helper';
+
+// Occurrences of one recurring event that are read at most
+const MAX_OCCURRENCES = 1000;
+
+// BYDAY codes by day of the week, 0 (Sunday) to 6
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+export class IcsService {
+  /**
+   * Write sessions as an iCalendar file
+   * @param {Array} sessions
+   * @param {Array} clients - To name the events
+   * @returns {string}
+   */
+  export(sessions, clients) {
+    const names = new Map(clients.map((client) => [client.id, client.name]));
+    const stamp = formatUtc(new Date());
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Therapy Helper//Sessions//RU',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+
+    sessions.forEach((session) => {
+      const updatedAt = Date.parse(session.updatedAt);
+      const date = session.date.replace(/-/g, '');
+
+      lines.push('BEGIN:VEVENT', `UID:${session.id}${UID_DOMAIN}`, `DTSTAMP:${stamp}`);
+      if (!isNaN(updatedAt)) {
+        // Grows with every edit, so calendars that compare SEQUENCE take the newer version
+        lines.push(`LAST-MODIFIED:${formatUtc(new Date(updatedAt))}`, `SEQUENCE:${Math.floor(updatedAt / 1000)}`);
+      }
+      if (session.time) {
+        lines.push(`DTSTART:${date}T${session.time.replace(':', '')}00`);
+        if (session.duration) {
+          lines.push(`DURATION:PT${session.duration}M`);
+        }
+      } else {
+        lines.push(`DTSTART;VALUE=DATE:${date}`, `DTEND;VALUE=DATE:${addDays(session.date, 1).replace(/-/g, '')}`);
+      }
+      lines.push(
+        `SUMMARY:${escapeText(names.get(session.clientId) || 'Сессия')}`,
+        `STATUS:${session.status === 'cancelled' || session.status === 'noShow' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Read the events of an iCalendar file
+   * @param {string} text - File contents
+   * @param {Array} clients - To match event titles
+   * @param {string} until - Recurring events are read up to this date (YYYY-MM-DD)
+   * @returns {Array<Object>} - Events, see above, in file order
+   * @throws {Error} If the text is not an iCalendar file
+   */
+  parse(text, clients, until) {
+    const components = readComponents(text);
+    if (!components) {
+      throw new Error('Файл не похож на календарь iCalendar (.ics)');
+    }
+
+    // Changed occurrences of recurring events (RECURRENCE-ID) replace the generated ones
+    const overrides = new Set(
+      components
+        .filter((event) => event['RECURRENCE-ID'])
+        .map((event) => `${event.UID?.value}/${parseDateTime(event['RECURRENCE-ID']).date}`)
+    );
+
+    const events = [];
+    components.forEach((props) => {
+      const start = props.DTSTART && parseDateTime(props.DTSTART);
+      if (!start) {
+        return;
+      }
+
+      const uid = props.UID?.value || '';
+      const base = {
+        uid,
+        title: unescapeText(props.SUMMARY?.value || '').trim(),
+        time: start.time,
+        duration: readDuration(props, start),
+        cancelled: (props.STATUS?.value || '').toUpperCase() === 'CANCELLED'
+      };
+
+      if (props['RECURRENCE-ID']) {
+        const original = parseDateTime(props['RECURRENCE-ID']).date;
+        events.push({ ...base, date: start.date, key: `${uid}/${original}` });
+        return;
+      }
+      if (!props.RRULE) {
+        events.push({ ...base, date: start.date, key: uid });
+        return;
+      }
+
+      const excluded = new Set(
+        (props.EXDATE?.all || []).flatMap((exdate) =>
+          exdate.value.split(',').map((value) => parseDateTime({ ...exdate, value }).date)
+        )
+      );
+      expandRule(props.RRULE.value, start.date, until).forEach((date) => {
+        const key = `${uid}/${date}`;
+        if (!excluded.has(date) && !overrides.has(key)) {
+          events.push({ ...base, date, key });
+        }
+      });
+    });
+
+    return events.map(({ key, ...event }) => ({
+      id: sessionId(key, event.uid),
+      ...event,
+      clientId: this.matchClient(event.title, clients)?.id || null
+    }));
+  }
+
+  /**
+   * Client whose name is the title or appears in it as whole words;
+   * the longest name wins, a tie matches nobody
+   * @param {string} title
+   * @param {Array} clients
+   * @returns {Object|null}
+   */
+  matchClient(title, clients) {
+    const normalized = normalizeName(title);
+    if (!normalized) {
+      return null;
+    }
+
+    const exact = clients.filter((client) => normalizeName(client.name) === normalized);
+    if (exact.length > 0) {
+      return exact.length === 1 ? exact[0] : null;
+    }
+
+    const candidates = clients
+      .map((client) => ({ client, name: normalizeName(client.name) }))
+      .filter(({ name }) => name && ` ${normalized} `.includes(` ${name} `))
+      .sort((a, b) => b.name.length - a.name.length);
+
+    if (candidates.length === 0 || candidates[1]?.name.length === candidates[0].name.length) {
+      return null;
+    }
+    return candidates[0].client;
+  }
+}
+
+/**
+ * Properties of every VEVENT in the file, by name; nested components
+ * (VALARM) are skipped. Repeated properties are kept in `all`.
+ * @param {string} text
+ * @returns {Array<Object<string, {value: string, params: Object, all: Array}>>|null} - null if
+ *   the text is not a calendar
+ */
+function readComponents(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some((line) => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    return null;
+  }
+
+  const events = [];
+  let current = null;
+  let depth = 0;
+
+  lines.forEach((line) => {
+    const prop = parseLine(line);
+    if (!prop) {
+      return;
+    }
+    const value = prop.value.toUpperCase();
+
+    if (prop.name === 'BEGIN') {
+      if (current) {
+        depth++;
+      } else if (value === 'VEVENT') {
+        current = {};
+      }
+    } else if (prop.name === 'END') {
+      if (depth > 0) {
+        depth--;
+      } else if (current && value === 'VEVENT') {
+        events.push(current);
+        current = null;
+      }
+    } else if (current && depth === 0) {
+      const existing = current[prop.name];
+      if (existing) {
+        existing.all.push(prop);
+      } else {
+        current[prop.name] = { ...prop, all: [prop] };
+      }
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {string} line
+ * @returns {{name: string, params: Object<string, string>, value: string}|null}
+ */
+function parseLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return {
+    name: name.trim().toUpperCase(),
+    params: Object.fromEntries(
+      params.map((param) => {
+        const [key, ...rest] = param.split('=');
+        return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+      })
+    ),
+    value: line.slice(colon + 1)
+  };
+}
+
+/**
+ * Date and wall clock time of a DATE or DATE-TIME value. UTC times are
+ * converted to this device's time zone; times with a TZID are taken as
+ * written (in that zone)
+ * @param {{value: string, params: Object}} prop
+ * @returns {{date: string, time: string, at: Date}|null}
+ */
+function parseDateTime({ value, params }) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours === undefined || params?.VALUE === 'DATE') {
+    return { date: `${year}-${month}-${day}`, time: '', at: new Date(year, month - 1, day) };
+  }
+
+  const at = utc
+    ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds || 0))
+    : new Date(year, month - 1, day, hours, minutes, seconds || 0);
+  return { date: localDate(at), time: `${pad(at.getHours())}:${pad(at.getMinutes())}`, at };
+}
+
+/**
+ * Length of an event in minutes, from DURATION or DTEND
+ * @param {Object} props
+ * @param {{time: string, at: Date}} start
+ * @returns {number|null} - null for all-day events or without an end
+ */
+function readDuration(props, start) {
+  if (!start.time) {
+    return null;
+  }
+
+  if (props.DURATION) {
+    const match = props.DURATION.value.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/);
+    if (!match) {
+      return null;
+    }
+    const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+    return ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes) || null;
+  }
+
+  const end = props.DTEND && parseDateTime(props.DTEND);
+  if (!end || !end.time) {
+    return null;
+  }
+  const minutes = Math.round((end.at - start.at) / 60000);
+  return minutes > 0 ? minutes : null;
+}
+
+/**
+ * Dates of a daily or weekly RRULE, from the first occurrence up to a date.
+ * Other frequencies give only the first occurrence
+ * @param {string} rule - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20241231T000000Z"
+ * @param {string} first - Date of DTSTART (YYYY-MM-DD)
+ * @param {string} until - YYYY-MM-DD
+ * @returns {Array<string>}
+ */
+function expandRule(rule, first, until) {
+  const parts = Object.fromEntries(
+    rule.split(';').map((part) => {
+      const [key, value = ''] = part.split('=');
+      return [key.toUpperCase(), value.toUpperCase()];
+    })
+  );
+  if (parts.FREQ !== 'DAILY' && parts.FREQ !== 'WEEKLY') {
+    return [first];
+  }
+
+  const interval = Math.max(Number(parts.INTERVAL) || 1, 1);
+  const count = Number(parts.COUNT) || MAX_OCCURRENCES;
+  const ruleUntil = parts.UNTIL && parseDateTime({ value: parts.UNTIL, params: {} })?.date;
+  const last = ruleUntil && ruleUntil < until ? ruleUntil : until;
+
+  // Weekly rules: the listed days of every interval-th week (Monday-based), or DTSTART's day
+  const weekdays = parts.FREQ === 'WEEKLY' && parts.BYDAY
+    ? parts.BYDAY.split(',').map((day) => WEEKDAY_CODES.indexOf(day.slice(-2))).filter((day) => day !== -1)
+    : null;
+  const firstWeek = mondayOf(first);
+
+  const dates = [];
+  for (let date = first; date <= last && dates.length < Math.min(count, MAX_OCCURRENCES); date = addDays(date, 1)) {
+    const daysSinceFirst = daysBetween(first, date);
+    let matches;
+    if (parts.FREQ === 'DAILY') {
+      matches = daysSinceFirst % interval === 0;
+    } else {
+      const week = Math.floor(daysBetween(firstWeek, date) / 7);
+      const day = weekdays ? weekdays.includes(dayOfWeek(date)) : dayOfWeek(date) === dayOfWeek(first);
+      matches = week % interval === 0 && day;
+    }
+    if (matches) {
+      dates.push(date);
+    }
+  }
+  return dates;
+}
+
+/**
+ * Session ID for an event: the original ID for events this app exported,
+ * otherwise derived from the UID (and the date of a recurring occurrence)
+ * @param {string} key - UID, or `${uid}/${date}` for an occurrence
+ * @param {string} uid
+ * @returns {string}
+ */
+function sessionId(key, uid) {
+  if (key === uid && uid.endsWith(UID_DOMAIN)) {
+    return uid.slice(0, -UID_DOMAIN.length);
+  }
+  return `ics-${hash(key)}`;
+}
+
+/**
+ * 32-bit FNV-1a hash as hex, to build IDs from UIDs of any length
+ * @param {string} text
+ * @returns {string}
+ */
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0') + text.length.toString(16);
+}
+
+/**
+ * Name for comparison: lower case, "ё" as "е", punctuation as spaces
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Escape a TEXT value
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Unescape a TEXT value
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets (UTF-8),
+ * never splitting a character
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const length = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward the limit
+    if (size + length > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += length;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * UTC DATE-TIME value
+ * @param {Date} date
+ * @returns {string} - e.g. 20241001T120000Z
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Date on this device as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+function localDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * @param {number} value
+ * @returns {string} - Two digits
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} - YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} - 0 (Sunday) to 6
+ */
+function dayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} - Monday of that week
+ */
+function mondayOf(date) {
+  return addDays(date, -((dayOfWeek(date) + 6) % 7));
+}
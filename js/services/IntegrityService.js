@@ -0,0 +1,274 @@
+/**
+ * IntegrityService - finds and repairs inconsistent records on this device.
+ *
+ * This service is responsible for:
+ * - Finding sessions and payments whose client does not exist (orphans),
+ *   records sharing an ID, invalid session and payment dates, invalid amounts
+ *   and client rates, client currencies the app does not know, and payments
+ *   allocated to sessions that no longer exist
+ * - Offering a fix where one is safe: orphans are removed, duplicates keep the
+ *   newest copy, values written in a recognizable format are normalized,
+ *   missing sessions are dropped from the allocation (a payment left without
+ *   sessions is allocated automatically)
+ * - Applying the chosen fixes and reporting which records must be synced
+ *
+ * The Apps Script action checkIntegrity applies the same rules to the sheet.
+ *
+ * Issue: { kind, type, id, field?, value?, count?, fix }
+ * - kind - 'orphan', 'duplicate', 'invalidDate', 'invalidAmount', 'invalidCurrency'
+ *   or 'staleSessions'
+ * - fix - { action: 'remove' } | { action: 'dedupe' } | { action: 'set', value } | null
+ *   (null: the value has to be corrected by hand)
+ */
+export class IntegrityService {
+  #codes;
+  #spellings;
+
+  /**
+   * @param {Object<string, {symbol: string}>} currencies - Known currencies by code
+   */
+  constructor(currencies = {}) {
+    this.#codes = new Set(Object.keys(currencies));
+    // Accepted spellings (code in any case, symbol) -> currency code
+    this.#spellings = new Map();
+    Object.entries(currencies).forEach(([code, { symbol }]) => {
+      this.#spellings.set(code.toLowerCase(), code);
+      if (symbol) {
+        this.#spellings.set(symbol.toLowerCase(), code);
+      }
+    });
+  }
+
+  /**
+   * Find the issues of a data set
+   * @param {{clients: Array, sessions: Array, payments?: Array}} data
+   * @returns {Array<Object>} - Issues, see above
+   */
+  check({ clients, sessions, payments = [] }) {
+    const issues = [];
+
+    Object.entries({ clients, sessions, payments }).forEach(([type, records]) => {
+      findDuplicates(records).forEach((count, id) => {
+        issues.push({ kind: 'duplicate', type, id, count, fix: { action: 'dedupe' } });
+      });
+    });
+
+    const clientIds = new Set(clients.map((client) => client.id));
+
+    clients.forEach((client) => {
+      if (!isValidAmount(client.rate)) {
+        issues.push(valueIssue('invalidAmount', 'clients', client, 'rate', parseAmount(client.rate)));
+      }
+      if (client.currency && !this.#codes.has(client.currency)) {
+        issues.push(
+          valueIssue('invalidCurrency', 'clients', client, 'currency', this.#normalizeCurrency(client.currency))
+        );
+      }
+    });
+
+    sessions.forEach((session) => {
+      if (!clientIds.has(session.clientId)) {
+        issues.push(orphanIssue('sessions', session));
+      }
+      if (!isValidDate(session.date)) {
+        issues.push(valueIssue('invalidDate', 'sessions', session, 'date', normalizeDate(session.date)));
+      }
+      if (!isValidAmount(session.amount)) {
+        issues.push(valueIssue('invalidAmount', 'sessions', session, 'amount', parseAmount(session.amount)));
+      }
+    });
+
+    // Orphan sessions are removed by the same repair, so they count as missing
+    const sessionIds = new Set(
+      sessions.filter((session) => clientIds.has(session.clientId)).map((session) => session.id)
+    );
+
+    payments.forEach((payment) => {
+      if (!clientIds.has(payment.clientId)) {
+        issues.push(orphanIssue('payments', payment));
+      }
+      if (!isValidDate(payment.date)) {
+        issues.push(valueIssue('invalidDate', 'payments', payment, 'date', normalizeDate(payment.date)));
+      }
+      if (!isValidAmount(payment.amount)) {
+        issues.push(valueIssue('invalidAmount', 'payments', payment, 'amount', parseAmount(payment.amount)));
+      }
+      const allocated = payment.sessionIds || [];
+      if (allocated.some((id) => !sessionIds.has(id))) {
+        issues.push(
+          valueIssue('staleSessions', 'payments', payment, 'sessionIds', allocated.filter((id) => sessionIds.has(id)))
+        );
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Apply the fixes of the given issues; issues without a fix are skipped
+   * @param {{clients: Array, sessions: Array, payments?: Array}} data
+   * @param {Array<Object>} issues - From check()
+   * @returns {{clients: Array, sessions: Array, payments: Array, saved: Array<{type: string, record: Object}>, deleted: Array<{type: string, id: string}>}}
+   *   New data, plus the records to push and the IDs to delete on the backend
+   */
+  repair({ clients, sessions, payments = [] }, issues) {
+    const data = { clients: [...clients], sessions: [...sessions], payments: [...payments] };
+    const touched = new Map();
+    const deleted = [];
+    const now = new Date().toISOString();
+
+    issues.filter((issue) => issue.fix).forEach(({ type, id, field, fix }) => {
+      const key = `${type}:${id}`;
+
+      if (fix.action === 'remove') {
+        data[type] = data[type].filter((record) => record.id !== id);
+        touched.delete(key);
+        deleted.push({ type, id });
+        return;
+      }
+
+      if (fix.action === 'dedupe') {
+        const keep = newestRecord(data[type].filter((record) => record.id === id));
+        data[type] = data[type].filter((record) => record.id !== id || record === keep);
+      } else if (fix.action === 'set') {
+        data[type] = data[type].map((record) =>
+          record.id === id ? { ...record, [field]: fix.value } : record
+        );
+      }
+      touched.set(key, { type, id });
+    });
+
+    // Repaired records are newer than any copy elsewhere, so they win the next merge
+    const saved = [];
+    touched.forEach(({ type, id }) => {
+      const index = data[type].findIndex((record) => record.id === id);
+      if (index !== -1) {
+        data[type][index] = { ...data[type][index], updatedAt: now };
+        saved.push({ type, record: data[type][index] });
+      }
+    });
+
+    return { ...data, saved, deleted };
+  }
+
+  /**
+   * Currency code for a recognizable spelling ("usd", "$"...)
+   * @param {*} value
+   * @returns {string|null}
+   */
+  #normalizeCurrency(value) {
+    return this.#spellings.get(String(value).trim().toLowerCase()) || null;
+  }
+}
+
+/**
+ * Issue of a session or payment whose client does not exist
+ * @param {'sessions'|'payments'} type
+ * @param {Object} record
+ * @returns {Object}
+ */
+function orphanIssue(type, record) {
+  return {
+    kind: 'orphan',
+    type,
+    id: record.id,
+    field: 'clientId',
+    value: record.clientId,
+    fix: { action: 'remove' }
+  };
+}
+
+/**
+ * Issue of an invalid field value, with a fix if a corrected value is known
+ * @param {string} kind
+ * @param {'clients'|'sessions'|'payments'} type
+ * @param {Object} record
+ * @param {string} field
+ * @param {*} corrected - Corrected value, or null if there is none
+ * @returns {Object}
+ */
+function valueIssue(kind, type, record, field, corrected) {
+  return {
+    kind,
+    type,
+    id: record.id,
+    field,
+    value: record[field] ?? null,
+    fix: corrected === null ? null : { action: 'set', value: corrected }
+  };
+}
+
+/**
+ * IDs used by more than one record
+ * @param {Array} records
+ * @returns {Map<string, number>} - ID -> number of records
+ */
+function findDuplicates(records) {
+  const counts = new Map();
+  records.forEach((record) => counts.set(record.id, (counts.get(record.id) || 0) + 1));
+  return new Map([...counts].filter(([, count]) => count > 1));
+}
+
+/**
+ * The most recently updated of several copies (the last one on a tie)
+ * @param {Array} copies
+ * @returns {Object}
+ */
+function newestRecord(copies) {
+  return copies.reduce((newest, record) =>
+    Date.parse(record.updatedAt || 0) >= Date.parse(newest.updatedAt || 0) ? record : newest
+  );
+}
+
+/**
+ * Check for a YYYY-MM-DD string of an existing day
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * YYYY-MM-DD for a date written as DD.MM.YYYY or as a full ISO timestamp
+ * @param {*} value
+ * @returns {string|null} - null if the value is not a recognizable date
+ */
+function normalizeDate(value) {
+  const text = String(value ?? '').trim();
+  let match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  if (match) {
+    const [, day, month, year] = match;
+    const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    return isValidDate(date) ? date : null;
+  }
+
+  match = text.match(/^(\d{4}-\d{2}-\d{2})T/);
+  return match && isValidDate(match[1]) ? match[1] : null;
+}
+
+/**
+ * Check for a positive number, as the client and session forms require
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidAmount(value) {
+  return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+/**
+ * Amount written as text ("1 500", "12,50")
+ * @param {*} value
+ * @returns {number|null} - null if the value is not a positive number
+ */
+function parseAmount(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+  const amount = Number(value.replace(/\s/g, '').replace(',', '.'));
+  return isFinite(amount) && amount > 0 ? amount : null;
+}
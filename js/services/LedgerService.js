@@ -0,0 +1,277 @@
+/**
+ * LedgerService - client balances from sessions and payments.
+ *
+ * This service is responsible for:
+ * - Listing what each client owes for: completed sessions and charged
+ *   cancellations or no-shows (the charge of a session is worked out by the caller)
+ * - Allocating payments to those charges: first to the sessions picked by hand,
+ *   then whatever is left of every payment to the oldest unpaid charges
+ * - The running balance of each client: negative while the client owes,
+ *   positive while a prepayment is not used up (credit)
+ *
+ * Payment: { id, clientId, date, amount, currency, convertedAmount, convertedCurrency, method, notes, sessionIds, createdAt, updatedAt }
+ * - currency - currency the client paid in
+ * - convertedAmount - the amount in convertedCurrency (the client's currency) at the rate
+ *   of the day it was recorded, so later rate changes do not move settled balances;
+ *   payments without it, or recorded before the client's currency changed, are
+ *   converted at the current rate
+ * - sessionIds - sessions the payment was allocated to by hand, in order
+ *   (empty: allocated automatically)
+ *
+ * Sessions marked paid (session.paid) were settled without a payment record,
+ * as before payments existed: they count as paid in full and take no payment.
+ *
+ * Ledger of a client: { currency, charges, payments, charged, received, debt, credit, balance, entries }
+ * - charges - Map of session ID -> { amount, paid, remaining, settled, payments: [{paymentId, amount}] }
+ * - payments - Map of payment ID -> { amount, allocated, unallocated, sessions: [{sessionId, amount}] },
+ *   amounts in the client's currency
+ * - entries - sessions and payments oldest first, each with the balance after it:
+ *   { type: 'session'|'payment', id, date, amount, settled?, balance }
+ */
+export class LedgerService {
+  #chargeOf;
+  #convert;
+
+  /**
+   * @param {Object} options
+   * @param {(session: Object) => number} options.chargeOf - What the client owes for
+   *   a session, in the client's currency (0 if nothing)
+   * @param {(amount: number, from: string, to: string) => number} options.convert -
+   *   Currency conversion
+   */
+  constructor({ chargeOf, convert }) {
+    this.#chargeOf = chargeOf;
+    this.#convert = convert;
+  }
+
+  /**
+   * Ledgers of all clients
+   * @param {Array} clients
+   * @param {Array} sessions
+   * @param {Array} payments
+   * @returns {Map<string, Object>} - Client ID -> ledger, see above
+   */
+  build(clients, sessions, payments) {
+    const sessionsByClient = groupByClient(sessions);
+    const paymentsByClient = groupByClient(payments);
+
+    return new Map(
+      clients.map((client) => [
+        client.id,
+        this.ledger(client, sessionsByClient.get(client.id) || [], paymentsByClient.get(client.id) || [])
+      ])
+    );
+  }
+
+  /**
+   * Ledger of one client
+   * @param {Object} client
+   * @param {Array} sessions - Sessions of the client
+   * @param {Array} payments - Payments of the client
+   * @returns {Object} - See above
+   */
+  ledger(client, sessions, payments) {
+    const currency = client.currency || 'USD';
+
+    const charges = new Map();
+    [...sessions].sort(compareSessions).forEach((session) => {
+      const amount = round(this.#chargeOf(session));
+      if (amount > 0) {
+        const settled = Boolean(session.paid);
+        charges.set(session.id, {
+          amount,
+          paid: settled ? amount : 0,
+          remaining: settled ? 0 : amount,
+          settled,
+          payments: []
+        });
+      }
+    });
+
+    const allocations = new Map();
+    const sortedPayments = [...payments].sort(comparePayments);
+    sortedPayments.forEach((payment) => {
+      const amount = round(paymentAmount(payment, currency, this.#convert));
+      allocations.set(payment.id, { amount, allocated: 0, unallocated: amount, sessions: [] });
+    });
+
+    // Sessions picked by hand first, so automatic allocation cannot take them
+    sortedPayments.forEach((payment) => {
+      (payment.sessionIds || []).forEach((sessionId) => {
+        allocate(allocations.get(payment.id), payment.id, charges.get(sessionId), sessionId);
+      });
+    });
+
+    // The rest goes to the oldest unpaid charges; what is left over is credit
+    sortedPayments.forEach((payment) => {
+      charges.forEach((charge, sessionId) => {
+        allocate(allocations.get(payment.id), payment.id, charge, sessionId);
+      });
+    });
+
+    let charged = 0;
+    let debt = 0;
+    charges.forEach((charge) => {
+      if (!charge.settled) {
+        charged += charge.amount;
+        debt += charge.remaining;
+      }
+    });
+
+    let received = 0;
+    let credit = 0;
+    allocations.forEach((allocation) => {
+      received += allocation.amount;
+      credit += allocation.unallocated;
+    });
+
+    return {
+      currency,
+      charges,
+      payments: allocations,
+      charged: round(charged),
+      received: round(received),
+      debt: round(debt),
+      credit: round(credit),
+      balance: round(received - charged),
+      entries: runningBalance(sessions, sortedPayments, charges, allocations)
+    };
+  }
+}
+
+/**
+ * Records grouped by clientId
+ * @param {Array} records
+ * @returns {Map<string, Array>}
+ */
+function groupByClient(records) {
+  const groups = new Map();
+  records.forEach((record) => {
+    if (!groups.has(record.clientId)) {
+      groups.set(record.clientId, []);
+    }
+    groups.get(record.clientId).push(record);
+  });
+  return groups;
+}
+
+/**
+ * Amount of a payment in the client's currency
+ * @param {Object} payment
+ * @param {string} currency - Of the client
+ * @param {(amount: number, from: string, to: string) => number} convert
+ * @returns {number}
+ */
+function paymentAmount(payment, currency, convert) {
+  if (payment.convertedCurrency === currency && Number.isFinite(payment.convertedAmount)) {
+    return payment.convertedAmount;
+  }
+  return convert(Number(payment.amount) || 0, payment.currency || currency, currency);
+}
+
+/**
+ * Move as much of a payment as the charge still needs onto it
+ * @param {Object|undefined} allocation - Of the payment, modified in place
+ * @param {string} paymentId
+ * @param {Object|undefined} charge - Of the session, modified in place
+ * @param {string} sessionId
+ */
+function allocate(allocation, paymentId, charge, sessionId) {
+  if (!allocation || !charge) {
+    return;
+  }
+
+  const amount = round(Math.min(allocation.unallocated, charge.remaining));
+  if (amount <= 0) {
+    return;
+  }
+
+  allocation.allocated = round(allocation.allocated + amount);
+  allocation.unallocated = round(allocation.unallocated - amount);
+  charge.paid = round(charge.paid + amount);
+  charge.remaining = round(charge.remaining - amount);
+
+  const previous = allocation.sessions.find((item) => item.sessionId === sessionId);
+  if (previous) {
+    previous.amount = round(previous.amount + amount);
+    charge.payments.find((item) => item.paymentId === paymentId).amount = previous.amount;
+  } else {
+    allocation.sessions.push({ sessionId, amount });
+    charge.payments.push({ paymentId, amount });
+  }
+}
+
+/**
+ * Sessions and payments oldest first, with the balance after each.
+ * Sessions settled without a payment do not change the balance.
+ * On the same day a session comes before a payment.
+ * @param {Array} sessions
+ * @param {Array} payments - Sorted
+ * @param {Map<string, Object>} charges
+ * @param {Map<string, Object>} allocations
+ * @returns {Array<Object>}
+ */
+function runningBalance(sessions, payments, charges, allocations) {
+  const entries = [
+    ...sessions
+      .filter((session) => charges.has(session.id))
+      .map((session) => ({
+        type: 'session',
+        id: session.id,
+        date: session.date || '',
+        time: session.time || '',
+        amount: charges.get(session.id).amount,
+        settled: charges.get(session.id).settled
+      })),
+    ...payments.map((payment) => ({
+      type: 'payment',
+      id: payment.id,
+      date: payment.date || '',
+      time: '',
+      amount: allocations.get(payment.id).amount
+    }))
+  ].sort(
+    (a, b) =>
+      a.date.localeCompare(b.date) ||
+      (a.type === b.type ? a.time.localeCompare(b.time) : a.type === 'session' ? -1 : 1)
+  );
+
+  let balance = 0;
+  return entries.map(({ time, ...entry }) => {
+    if (entry.type === 'payment') {
+      balance = round(balance + entry.amount);
+    } else if (!entry.settled) {
+      balance = round(balance - entry.amount);
+    }
+    return { ...entry, balance };
+  });
+}
+
+/**
+ * Order of sessions, oldest first
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareSessions(a, b) {
+  return (a.date || '').localeCompare(b.date || '') || (a.time || '').localeCompare(b.time || '');
+}
+
+/**
+ * Order of payments, oldest first (same day: recorded first)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function comparePayments(a, b) {
+  return (a.date || '').localeCompare(b.date || '') || (a.createdAt || '').localeCompare(b.createdAt || '');
+}
+
+/**
+ * Round to cents, so sums of fractions do not leave 0.000001 behind
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
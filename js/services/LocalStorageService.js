@@ -0,0 +1,171 @@
+/**
+ * LocalStorageService - on-device storage for records and the sync queue.
+ *
+ * This service is responsible for:
+ * - Keeping records in IndexedDB, one entry per record, so a change writes
+ *   only that record and storage is not capped at the ~5MB of localStorage
+ * - Applying several writes to a store in one transaction (all or nothing)
+ * - Falling back to localStorage (one JSON object per store) where
+ *   IndexedDB is unavailable, e.g. in some private browsing modes
+ *
+ * Stores hold values under explicit keys; what a key is (record ID, queue
+ * item ID...) is decided by the repository using the store (RecordRepository).
+ */
+
+/**
+ * Object stores of the database
+ */
+const STORES = ['clients', 'sessions', 'payments', 'syncQueue', 'deadLetters', 'deletedIds', 'backups'];
+
+// Bumped whenever a store is added, so onupgradeneeded creates it
+const DB_VERSION = 3;
+
+export class LocalStorageService {
+  #dbName;
+  #fallbackPrefix;
+  #opening;
+  #db;
+
+  /**
+   * @param {string} dbName - IndexedDB database name
+   * @param {string} fallbackPrefix - localStorage key prefix of the stores in fallback mode
+   */
+  constructor(dbName = 'therapy-helper', fallbackPrefix = 'therapy_store_') {
+    this.#dbName = dbName;
+    this.#fallbackPrefix = fallbackPrefix;
+    this.#opening = null;
+    this.#db = null;
+  }
+
+  /**
+   * Check if data is kept in IndexedDB (false until opened, and in fallback mode)
+   * @returns {boolean}
+   */
+  get isIndexedDB() {
+    return this.#db !== null;
+  }
+
+  /**
+   * Open the database; falls back to localStorage if that fails.
+   * Called by every operation, so calling it up front is optional.
+   * @returns {Promise<void>}
+   */
+  open() {
+    if (!this.#opening) {
+      this.#opening = this.#openDatabase().then(
+        (db) => {
+          this.#db = db;
+        },
+        (e) => {
+          console.warn('LocalStorageService: IndexedDB unavailable, using localStorage', e);
+        }
+      );
+    }
+    return this.#opening;
+  }
+
+  /**
+   * Get all values of a store
+   * @param {string} storeName
+   * @returns {Promise<Array>}
+   */
+  async getAll(storeName) {
+    await this.open();
+
+    if (!this.#db) {
+      return Object.values(this.#readFallback(storeName));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = this.#db
+        .transaction(storeName, 'readonly')
+        .objectStore(storeName)
+        .getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Put and delete values of a store in one transaction
+   * @param {string} storeName
+   * @param {Object} changes
+   * @param {Array<[string, *]>} [changes.put] - [key, value] pairs to write
+   * @param {Array<string>} [changes.remove] - Keys to delete
+   * @returns {Promise<void>} - Resolves once the changes are stored
+   * @throws {Error} If the storage rejected the write (e.g. quota exceeded)
+   */
+  async write(storeName, { put = [], remove = [] }) {
+    if (put.length === 0 && remove.length === 0) {
+      return;
+    }
+
+    await this.open();
+
+    if (!this.#db) {
+      const values = this.#readFallback(storeName);
+      put.forEach(([key, value]) => {
+        values[key] = value;
+      });
+      remove.forEach((key) => {
+        delete values[key];
+      });
+      localStorage.setItem(this.#fallbackPrefix + storeName, JSON.stringify(values));
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction(storeName, 'readwrite');
+      const store = transaction.objectStore(storeName);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+
+      put.forEach(([key, value]) => store.put(value, key));
+      remove.forEach((key) => store.delete(key));
+    });
+  }
+
+  /**
+   * Open (and on first use create) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  #openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(this.#dbName, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        STORES.filter((name) => !db.objectStoreNames.contains(name)).forEach((name) =>
+          db.createObjectStore(name)
+        );
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the app (another tab) upgrade the database
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Read a store kept in localStorage (fallback mode)
+   * @param {string} storeName
+   * @returns {Object<string, *>} - Values by key
+   */
+  #readFallback(storeName) {
+    try {
+      return JSON.parse(localStorage.getItem(this.#fallbackPrefix + storeName)) || {};
+    } catch (e) {
+      console.error(`LocalStorageService: failed to read ${storeName} from localStorage`, e);
+      return {};
+    }
+  }
+}
@@ -0,0 +1,13 @@
+import { RecordRepository } from './RecordRepository.js';
+
+/**
+ * PaymentService - payments received from clients, stored on this device.
+ */
+export class PaymentService extends RecordRepository {
+  /**
+   * @param {import('./LocalStorageService.js').LocalStorageService} storage
+   */
+  constructor(storage) {
+    super(storage, 'payments');
+  }
+}
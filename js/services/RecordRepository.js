@@ -0,0 +1,117 @@
+/**
+ * RecordRepository - a keyed collection persisted in one LocalStorageService store.
+ *
+ * This service is responsible for:
+ * - Loading the collection
+ * - Saving a new state of the collection by writing only the records that
+ *   changed since the last successful write and deleting removed ones
+ * - Moving data saved by older versions of the app (one localStorage key
+ *   holding the whole collection) into the store, once
+ *
+ * The caller keeps the records in memory; the repository remembers what is
+ * stored, so saving the whole array after every edit costs one record write.
+ */
+export class RecordRepository {
+  #storage;
+  #storeName;
+  #keyOf;
+  #legacy;
+  #stored;
+
+  /**
+   * @param {import('./LocalStorageService.js').LocalStorageService} storage
+   * @param {string} storeName - Store of the collection
+   * @param {Object} [options]
+   * @param {(record: Object) => string} [options.keyOf] - Key of a record (default: its id)
+   * @param {{key: string, toRecords?: (saved: *) => Array}} [options.legacy] -
+   *   localStorage key used by older versions and how to turn its JSON into records
+   */
+  constructor(storage, storeName, { keyOf = (record) => record.id, legacy = null } = {}) {
+    this.#storage = storage;
+    this.#storeName = storeName;
+    this.#keyOf = keyOf;
+    this.#legacy = legacy;
+    // Key -> JSON of the stored record (null: unknown after a failed write,
+    // so the record is written again or deleted by the next save)
+    this.#stored = new Map();
+  }
+
+  /**
+   * Load all records
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    await this.#migrateLegacy();
+
+    const records = await this.#storage.getAll(this.#storeName);
+    this.#stored = new Map(
+      records.map((record) => [this.#keyOf(record), JSON.stringify(record)])
+    );
+    return records;
+  }
+
+  /**
+   * Store a new state of the collection: changed and new records are written,
+   * records missing from the array are deleted
+   * @param {Array} records - All records of the collection
+   * @returns {Promise<{saved: number, removed: number}>}
+   * @throws {Error} If the storage rejected the write; it is retried by the next save
+   */
+  async saveAll(records) {
+    const put = [];
+    const current = new Set();
+
+    records.forEach((record) => {
+      const key = this.#keyOf(record);
+      const json = JSON.stringify(record);
+      current.add(key);
+
+      if (this.#stored.get(key) !== json) {
+        put.push([key, record]);
+        this.#stored.set(key, json);
+      }
+    });
+
+    const remove = [...this.#stored.keys()].filter((key) => !current.has(key));
+    remove.forEach((key) => this.#stored.delete(key));
+
+    try {
+      await this.#storage.write(this.#storeName, { put, remove });
+    } catch (e) {
+      // The records may or may not be in the store now: keep their keys, so
+      // the next save writes them again or deletes them if they were removed
+      put.forEach(([key]) => this.#stored.set(key, null));
+      remove.forEach((key) => this.#stored.set(key, null));
+      throw e;
+    }
+
+    return { saved: put.length, removed: remove.length };
+  }
+
+  /**
+   * Move the collection saved by an older version of the app into the store.
+   * The old key is removed only after the records are stored.
+   */
+  async #migrateLegacy() {
+    if (!this.#legacy) {
+      return;
+    }
+
+    const { key, toRecords = (saved) => saved } = this.#legacy;
+    const saved = localStorage.getItem(key);
+    if (saved === null) {
+      return;
+    }
+
+    try {
+      const records = toRecords(JSON.parse(saved)) || [];
+      await this.#storage.write(this.#storeName, {
+        put: records.map((record) => [this.#keyOf(record), record])
+      });
+      localStorage.removeItem(key);
+      console.log(`RecordRepository: moved ${records.length} ${this.#storeName} from localStorage`);
+    } catch (e) {
+      console.error(`RecordRepository: failed to migrate ${key}`, e);
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * RequestSigner - signs API requests with a shared secret.
+ *
+ * Signature = HMAC-SHA256(secret, action + "\n" + ts + "\n" + nonce + "\n" + data), hex.
+ * The timestamp and a one-time nonce let the server reject replayed requests.
+ */
+export class RequestSigner {
+  #secret;
+  #key;
+
+  /**
+   * @param {string} secret - Shared secret (the API key from settings)
+   */
+  constructor(secret = '') {
+    this.#secret = secret;
+    this.#key = null;
+  }
+
+  /**
+   * Check if a secret is set
+   * @returns {boolean}
+   */
+  get isConfigured() {
+    return Boolean(this.#secret);
+  }
+
+  /**
+   * Update the secret
+   * @param {string} secret
+   */
+  set secret(secret) {
+    if (secret !== this.#secret) {
+      this.#secret = secret;
+      this.#key = null;
+    }
+  }
+
+  /**
+   * Sign a request
+   * @param {string} action - API action
+   * @param {string} data - Exact data string sent with the request ('' if none)
+   * @returns {Promise<{ts: string, nonce: string, sig: string}>}
+   */
+  async sign(action, data) {
+    const ts = String(Date.now());
+    const nonce = crypto.randomUUID();
+    const message = `${action}\n${ts}\n${nonce}\n${data}`;
+
+    const signature = await crypto.subtle.sign(
+      'HMAC',
+      await this.getKey(),
+      new TextEncoder().encode(message)
+    );
+
+    const sig = Array.from(new Uint8Array(signature))
+      .map((b) => b.toString(16).padStart(2, '0'))
+      .join('');
+
+    return { ts, nonce, sig };
+  }
+
+  /**
+   * Import the secret as an HMAC key (cached until the secret changes).
+   * The key is not extractable, so it can be handed to the service worker
+   * without exposing the secret.
+   * @returns {Promise<CryptoKey>}
+   */
+  async getKey() {
+    if (!this.#key) {
+      this.#key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(this.#secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+      );
+    }
+    return this.#key;
+  }
+}
@@ -0,0 +1,320 @@
+import { SyncBackend } from './SyncBackend.js';
+import { RequestSigner } from './RequestSigner.js';
+
+/**
+ * RestApiService - sync backend for a self-hosted JSON REST server.
+ * Implements the SyncBackend interface; the protocol is described in README.md.
+ *
+ * This service is responsible for:
+ * - Mapping backend calls to REST endpoints under the base URL
+ * - Signing every request with the shared API key (X-Request-* headers)
+ * - Turning HTTP statuses into the common write result shape
+ */
+
+/**
+ * Actions the /batch endpoint applies
+ */
+const BATCH_ACTIONS = new Set([
+  'saveClient',
+  'saveSession',
+  'savePayment',
+  'deleteClient',
+  'deleteSession',
+  'deletePayment'
+]);
+
+export class RestApiService extends SyncBackend {
+  #baseUrl;
+  #maxBatchItems;
+  #signer;
+  #authFailed;
+
+  /**
+   * @param {string} baseUrl - Server base URL, e.g. http://localhost:8080/api
+   * @param {number} maxBatchItems - Maximum operations per batch request
+   * @param {string} apiKey - Shared secret used to sign requests
+   */
+  constructor(baseUrl, maxBatchItems = 100, apiKey = '') {
+    super();
+    this.#baseUrl = baseUrl;
+    this.#maxBatchItems = maxBatchItems;
+    this.#signer = new RequestSigner(apiKey);
+    this.#authFailed = false;
+  }
+
+  /**
+   * Backend name for status texts
+   * @returns {string}
+   */
+  get label() {
+    return 'Сервер';
+  }
+
+  /**
+   * Get the server base URL
+   * @returns {string}
+   */
+  get url() {
+    return this.#baseUrl;
+  }
+
+  /**
+   * Update the server base URL
+   * @param {string} url
+   */
+  set url(url) {
+    this.#baseUrl = url;
+  }
+
+  /**
+   * Update the API key used to sign requests
+   * @param {string} key
+   */
+  set apiKey(key) {
+    this.#signer.secret = key;
+    this.#authFailed = false;
+  }
+
+  /**
+   * Check if the last response rejected the API key
+   * @returns {boolean}
+   */
+  get authFailed() {
+    return this.#authFailed;
+  }
+
+  /**
+   * Check if service is configured with a URL and an API key
+   * @returns {boolean}
+   */
+  get isConfigured() {
+    return Boolean(this.#baseUrl) && this.#signer.isConfigured;
+  }
+
+  /**
+   * Ping the server to check connection (and that the API key is accepted)
+   * @returns {Promise<boolean>}
+   */
+  async ping() {
+    if (!this.isConfigured) {
+      return false;
+    }
+
+    try {
+      const { ok } = await this.#request('GET', '/ping');
+      return ok;
+    } catch (e) {
+      console.error('RestApiService: ping failed', e);
+      return false;
+    }
+  }
+
+  /**
+   * Get all records and tombstones
+   * @returns {Promise<Object|null>}
+   */
+  async getData() {
+    if (!this.isConfigured) {
+      return null;
+    }
+
+    try {
+      const { ok, body } = await this.#request('GET', '/data');
+
+      if (!ok) {
+        console.error('RestApiService: getData error', body?.error);
+        return null;
+      }
+
+      return body;
+    } catch (e) {
+      console.error('RestApiService: getData failed', e);
+      return null;
+    }
+  }
+
+  /**
+   * Get records changed after the cursor, plus deleted IDs
+   * @param {string} since - Cursor from the previous getData/getChanges
+   * @returns {Promise<Object|{invalidCursor: true}|null>}
+   */
+  async getChanges(since) {
+    if (!this.isConfigured) {
+      return null;
+    }
+
+    try {
+      const { ok, status, body } = await this.#request(
+        'GET',
+        `/changes?since=${encodeURIComponent(since)}`
+      );
+
+      // 410 Gone - the cursor predates a reset or a tombstone purge
+      if (status === 410 || body?.invalidCursor) {
+        return { invalidCursor: true };
+      }
+
+      if (!ok) {
+        console.error('RestApiService: getChanges error', body?.error);
+        return null;
+      }
+
+      return body;
+    } catch (e) {
+      console.error('RestApiService: getChanges failed', e);
+      return null;
+    }
+  }
+
+  /**
+   * Apply several write operations in chunks of maxBatchItems.
+   * Actions other than save/delete are rejected as permanent failures.
+   * @param {Array<{action: string, data: Object}>} items - Operations to apply
+   * @returns {Promise<Array<Object>>} - Write result per item, in input order
+   */
+  async batch(items) {
+    if (!this.isConfigured) {
+      return items.map(() => ({ success: false, error: 'Not configured', transient: true }));
+    }
+
+    const results = new Array(items.length);
+    const supported = [];
+
+    items.forEach((item, index) => {
+      if (BATCH_ACTIONS.has(item.action)) {
+        supported.push({ index, op: item });
+      } else {
+        results[index] = {
+          success: false,
+          error: `Unsupported action: ${item.action}`,
+          permanent: true
+        };
+      }
+    });
+
+    for (let start = 0; start < supported.length; start += this.#maxBatchItems) {
+      const chunk = supported.slice(start, start + this.#maxBatchItems);
+      const chunkResults = await this.#sendBatch(chunk.map((entry) => entry.op));
+      chunk.forEach((entry, i) => {
+        results[entry.index] = chunkResults[i];
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Describe a batch request for the service worker (see SyncBackend)
+   * @param {Array<{action: string, data: Object}>} items - Operations, already encrypted
+   * @returns {Promise<Object|null>}
+   */
+  async backgroundRequest(items) {
+    if (!this.isConfigured || items.some(({ action }) => !BATCH_ACTIONS.has(action))) {
+      return null;
+    }
+
+    return {
+      url: `${this.#baseUrl.replace(/\/+$/, '')}/batch`,
+      headers: { 'Content-Type': 'application/json' },
+      signedAction: 'POST /batch',
+      payload: JSON.stringify({ items }),
+      signatureIn: 'headers',
+      key: await this.#signer.getKey()
+    };
+  }
+
+  /**
+   * Store the encryption key check value unless one is stored already
+   * @param {string} keyCheck
+   * @returns {Promise<string|null>}
+   */
+  async setKeyCheck(keyCheck) {
+    try {
+      const { ok, body } = await this.#request('PUT', '/key-check', { keyCheck });
+      return ok ? body.keyCheck || null : null;
+    } catch (e) {
+      console.error('RestApiService: setKeyCheck failed', e);
+      return null;
+    }
+  }
+
+  /**
+   * Send one batch request
+   * @param {Array<{action: string, data: Object}>} ops
+   * @returns {Promise<Array<Object>>}
+   */
+  async #sendBatch(ops) {
+    let response;
+    try {
+      response = await this.#request('POST', '/batch', { items: ops });
+    } catch (e) {
+      console.error('RestApiService: batch failed', e);
+      return ops.map(() => ({ success: false, error: e.message, transient: true }));
+    }
+
+    const { ok, status, body } = response;
+
+    if (!ok) {
+      const error = body?.error || `HTTP ${status}`;
+      // 4xx other than auth means the batch itself is malformed - not worth retrying as is
+      const transient = status === 401 || status === 403 || status >= 500;
+      return ops.map(() => ({ success: false, error, transient, permanent: !transient }));
+    }
+
+    return ops.map((op, i) => {
+      const itemResult = body.results?.[i];
+      if (!itemResult || itemResult.id !== op.data.id) {
+        return { success: false, error: 'Missing result' };
+      }
+      return {
+        success: itemResult.success === true,
+        error: itemResult.error,
+        updatedAt: itemResult.updatedAt,
+        conflict: itemResult.conflict === true,
+        current: itemResult.current,
+        deleted: itemResult.deleted === true
+      };
+    });
+  }
+
+  /**
+   * Send a signed request.
+   * Signature covers "METHOD /path" as the action and the exact JSON body.
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under the base URL, with query string
+   * @param {Object} [data] - JSON body
+   * @returns {Promise<{ok: boolean, status: number, body: Object|null}>}
+   * @throws {Error} If the request could not be sent
+   */
+  async #request(method, path, data) {
+    const payload = data === undefined ? '' : JSON.stringify(data);
+    const { ts, nonce, sig } = await this.#signer.sign(`${method} ${path}`, payload);
+
+    const headers = {
+      'X-Request-Timestamp': ts,
+      'X-Request-Nonce': nonce,
+      'X-Request-Signature': sig
+    };
+    if (payload) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(`${this.#baseUrl.replace(/\/+$/, '')}${path}`, {
+      method,
+      mode: 'cors',
+      headers,
+      body: payload || undefined
+    });
+
+    this.#authFailed = response.status === 401;
+
+    let body = null;
+    try {
+      body = await response.json();
+    } catch (e) {
+      // Empty or non-JSON body - the status says enough
+    }
+
+    return { ok: response.ok && !body?.error, status: response.status, body };
+  }
+}
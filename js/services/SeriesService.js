@@ -0,0 +1,322 @@
+/**
+ * SeriesService - generates the sessions of recurring series.
+ *
+ * This service is responsible for:
+ * - Computing the dates of a weekly or biweekly series
+ * - Creating the upcoming sessions of every series, a few weeks ahead
+ * - Updating or removing the upcoming sessions when a series is edited or ended
+ *
+ * A series belongs to a client (client.series) and is synced with it:
+ * { id, frequency, weekday, time, duration, amount, startDate, endDate, generatedUntil, revision? }
+ * - frequency - 'weekly' or 'biweekly'
+ * - weekday - 0 (Sunday) to 6 (Saturday); the first session is on the first such
+ *   day from startDate, biweekly series count every other week from it
+ * - endDate - last possible date, or null for an open-ended series
+ * - generatedUntil - sessions are created up to this date; later runs only add
+ *   dates after it, so an occurrence deleted by hand is not created again
+ *   (unless a series edit changes the dates)
+ * - revision - number of edits that changed the dates (missing: none)
+ *
+ * Generated sessions carry seriesId and the ID `${series.id}-${date}`
+ * (`${series.id}-r${revision}-${date}` after the dates changed), so devices
+ * generating the same occurrence create the same record instead of a duplicate.
+ * Sessions removed by a schedule change have server tombstones; the new
+ * revision keeps a later schedule from reusing their IDs.
+ * Only upcoming sessions that are still scheduled are changed by a series edit;
+ * past ones and ones already completed or cancelled are left as they are.
+ *
+ * Methods return { clients, sessions, saved: [{type, record}], deleted: [{type, id}] }
+ * like IntegrityService.repair: the new data plus the changes to sync.
+ */
+export class SeriesService {
+  #horizonDays;
+
+  /**
+   * @param {number} horizonWeeks - How far ahead sessions are created
+   */
+  constructor(horizonWeeks = 8) {
+    this.#horizonDays = horizonWeeks * 7;
+  }
+
+  /**
+   * Dates of a series within a range
+   * @param {Object} series
+   * @param {string} from - First date (YYYY-MM-DD), inclusive
+   * @param {string} to - Last date (YYYY-MM-DD), inclusive
+   * @returns {Array<string>}
+   */
+  occurrenceDates(series, from, to) {
+    const step = series.frequency === 'biweekly' ? 14 : 7;
+    const last = series.endDate && series.endDate < to ? series.endDate : to;
+    const dates = [];
+
+    let date = addDays(series.startDate, (Number(series.weekday) - weekday(series.startDate) + 7) % 7);
+    for (; date <= last; date = addDays(date, step)) {
+      if (date >= from) {
+        dates.push(date);
+      }
+    }
+    return dates;
+  }
+
+  /**
+   * Create the sessions every series is missing up to the horizon
+   * @param {{clients: Array, sessions: Array}} data
+   * @param {string} today - YYYY-MM-DD
+   * @returns {Object} - See above
+   */
+  extend(data, today) {
+    const result = emptyResult(data);
+
+    result.clients.forEach((client) => {
+      (client.series || []).forEach((series) => {
+        const from = maxDate(today, series.generatedUntil ? addDays(series.generatedUntil, 1) : null);
+        this.#generate(result, client, series, from, addDays(today, this.#horizonDays));
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Add a series to a client or replace it, and bring its upcoming sessions in line
+   * @param {{clients: Array, sessions: Array}} data
+   * @param {string} clientId
+   * @param {Object} series - Without generatedUntil and revision
+   * @param {string} today - YYYY-MM-DD
+   * @returns {Object} - See above
+   */
+  save(data, clientId, series, today) {
+    const result = emptyResult(data);
+    const client = result.clients.find((c) => c.id === clientId);
+    if (!client) {
+      return result;
+    }
+
+    const old = (client.series || []).find((s) => s.id === series.id);
+    const revision = (old?.revision || 0) + (old && !sameSchedule(old, series) ? 1 : 0);
+    if (revision > 0) {
+      series = { ...series, revision };
+    }
+
+    const to = addDays(today, this.#horizonDays);
+    const dates = new Set(this.occurrenceDates(series, today, to));
+
+    // Upcoming scheduled sessions take the new time and amount, or go if their date no longer fits
+    result.sessions = result.sessions.filter((session) => {
+      if (!isUpcoming(session, series.id, today)) {
+        return true;
+      }
+      if (!dates.has(session.date)) {
+        result.deleted.push({ type: 'sessions', id: session.id });
+        return false;
+      }
+      return true;
+    });
+    result.sessions = result.sessions.map((session) => {
+      if (!isUpcoming(session, series.id, today)) {
+        return session;
+      }
+      const updated = { ...session, ...sessionFields(series) };
+      if (sameSessionFields(session, updated)) {
+        return session;
+      }
+      updated.updatedAt = new Date().toISOString();
+      result.saved.push({ type: 'sessions', record: updated });
+      return updated;
+    });
+
+    // With the same dates, occurrences created earlier and deleted by hand stay deleted
+    const from =
+      old?.generatedUntil && sameSchedule(old, series) ? maxDate(today, addDays(old.generatedUntil, 1)) : today;
+    this.#generate(result, client, { ...series, generatedUntil: null }, from, to);
+    return result;
+  }
+
+  /**
+   * End a series: remove it from the client along with its upcoming scheduled sessions
+   * @param {{clients: Array, sessions: Array}} data
+   * @param {string} clientId
+   * @param {string} seriesId
+   * @param {string} today - YYYY-MM-DD
+   * @returns {Object} - See above
+   */
+  remove(data, clientId, seriesId, today) {
+    const result = emptyResult(data);
+    const index = result.clients.findIndex((c) => c.id === clientId);
+    if (index === -1) {
+      return result;
+    }
+
+    result.sessions = result.sessions.filter((session) => {
+      if (isUpcoming(session, seriesId, today)) {
+        result.deleted.push({ type: 'sessions', id: session.id });
+        return false;
+      }
+      return true;
+    });
+
+    const client = result.clients[index];
+    result.clients[index] = {
+      ...client,
+      series: (client.series || []).filter((s) => s.id !== seriesId),
+      updatedAt: new Date().toISOString()
+    };
+    result.saved.push({ type: 'clients', record: result.clients[index] });
+    return result;
+  }
+
+  /**
+   * Create the missing sessions of a series in a range and move its generatedUntil
+   * @param {Object} result - Modified in place
+   * @param {Object} client
+   * @param {Object} series
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   */
+  #generate(result, client, series, from, to) {
+    const now = new Date().toISOString();
+    const existing = new Set(result.sessions.map((session) => session.id));
+    // Sessions kept from an earlier revision still hold their dates
+    const taken = new Set(
+      result.sessions.filter((session) => session.seriesId === series.id).map((session) => session.date)
+    );
+
+    this.occurrenceDates(series, from, to).forEach((date) => {
+      const id = series.revision ? `${series.id}-r${series.revision}-${date}` : `${series.id}-${date}`;
+      if (existing.has(id) || taken.has(date)) {
+        return;
+      }
+      const session = {
+        id,
+        clientId: client.id,
+        seriesId: series.id,
+        date,
+        ...sessionFields(series),
+        status: 'scheduled',
+        chargeable: false,
+        paid: false,
+        notes: '',
+        createdAt: now,
+        updatedAt: now
+      };
+      result.sessions.push(session);
+      result.saved.push({ type: 'sessions', record: session });
+    });
+
+    const index = result.clients.findIndex((c) => c.id === client.id);
+    const current = result.clients[index];
+    const stored = (current.series || []).find((s) => s.id === series.id);
+    const updatedSeries = { ...series, generatedUntil: maxDate(series.generatedUntil, to) };
+    if (stored && sameFields(stored, updatedSeries)) {
+      return;
+    }
+
+    const list = stored
+      ? current.series.map((s) => (s.id === series.id ? updatedSeries : s))
+      : [...(current.series || []), updatedSeries];
+
+    result.clients[index] = { ...current, series: list, updatedAt: now };
+    result.saved = result.saved.filter((item) => !(item.type === 'clients' && item.record.id === client.id));
+    result.saved.push({ type: 'clients', record: result.clients[index] });
+  }
+}
+
+/**
+ * Copy of the data with no changes recorded yet
+ * @param {{clients: Array, sessions: Array}} data
+ * @returns {Object}
+ */
+function emptyResult({ clients, sessions }) {
+  return { clients: [...clients], sessions: [...sessions], saved: [], deleted: [] };
+}
+
+/**
+ * Fields a generated session takes from its series
+ * @param {Object} series
+ * @returns {{time: string, duration: number|null, amount: number}}
+ */
+function sessionFields(series) {
+  return { time: series.time || '', duration: series.duration || null, amount: series.amount };
+}
+
+/**
+ * Check whether two sessions have the same series-controlled fields
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function sameSessionFields(a, b) {
+  return a.time === b.time && a.duration === b.duration && a.amount === b.amount;
+}
+
+/**
+ * Check whether two versions of a series hold the same values
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function sameFields(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((key) => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+/**
+ * Check whether two versions of a series fall on the same dates
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function sameSchedule(a, b) {
+  return (
+    a.frequency === b.frequency &&
+    Number(a.weekday) === Number(b.weekday) &&
+    a.startDate === b.startDate &&
+    (a.endDate || null) === (b.endDate || null)
+  );
+}
+
+/**
+ * Check for a session of the series, from today on, that has not taken place yet
+ * @param {Object} session
+ * @param {string} seriesId
+ * @param {string} today - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isUpcoming(session, seriesId, today) {
+  return session.seriesId === seriesId && session.date >= today && session.status === 'scheduled';
+}
+
+/**
+ * Date a number of days later
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} - YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Day of the week of a date, 0 (Sunday) to 6
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number}
+ */
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * The later of two dates, either of which may be missing
+ * @param {string|null} a - YYYY-MM-DD
+ * @param {string|null} b - YYYY-MM-DD
+ * @returns {string|null}
+ */
+function maxDate(a, b) {
+  if (!a || !b) {
+    return a || b;
+  }
+  return a > b ? a : b;
+}
@@ -0,0 +1,14 @@
+import { RecordRepository } from './RecordRepository.js';
+
+/**
+ * SessionService - sessions stored on this device.
+ * Data saved by older versions under "therapy_sessions" is moved over on first load.
+ */
+export class SessionService extends RecordRepository {
+  /**
+   * @param {import('./LocalStorageService.js').LocalStorageService} storage
+   */
+  constructor(storage) {
+    super(storage, 'sessions', { legacy: { key: 'therapy_sessions' } });
+  }
+}
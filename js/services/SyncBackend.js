@@ -0,0 +1,241 @@
+/**
+ * SyncBackend - interface every sync backend implements.
+ *
+ * SyncManager only talks to a backend through these methods, so the queue,
+ * merge and status logic is the same for Google Sheets and a REST server.
+ *
+ * Write results use one shape everywhere:
+ * { success, error?, updatedAt?, conflict?, current?, deleted?, permanent?, transient? }
+ * - updatedAt - server timestamp of a saved record
+ * - conflict - the record changed after the version the save was based on
+ * - current - with a conflict, the server version of the record (encrypted as stored)
+ * - deleted - the record has a tombstone, the save was ignored
+ * - permanent - retrying cannot help
+ * - transient - the request did not go through, the item itself was not rejected
+ */
+export class SyncBackend {
+  /**
+   * Human-readable backend name for status texts
+   * @returns {string}
+   */
+  get label() {
+    return this.#notImplemented('label');
+  }
+
+  /**
+   * Endpoint URL (the change cursor is stored per URL)
+   * @returns {string}
+   */
+  get url() {
+    return this.#notImplemented('url');
+  }
+
+  /**
+   * Update the endpoint URL
+   * @param {string} url
+   */
+  set url(url) {
+    this.#notImplemented('url');
+  }
+
+  /**
+   * Update the API key used to authenticate requests
+   * @param {string} key
+   */
+  set apiKey(key) {
+    this.#notImplemented('apiKey');
+  }
+
+  /**
+   * Set the identity sent with requests, for backends that journal changes
+   * @param {{id: string, name: string}|null} device
+   */
+  set device(device) {
+    // Optional: backends without a change journal ignore it
+  }
+
+  /**
+   * Check if the last response rejected the API key
+   * @returns {boolean}
+   */
+  get authFailed() {
+    return false;
+  }
+
+  /**
+   * Check if the backend has everything it needs to send requests
+   * @returns {boolean}
+   */
+  get isConfigured() {
+    return this.#notImplemented('isConfigured');
+  }
+
+  /**
+   * Check connection (and that the API key is accepted)
+   * @returns {Promise<boolean>}
+   */
+  async ping() {
+    return this.#notImplemented('ping');
+  }
+
+  /**
+   * Prepare the storage (create tables, headers etc.) if needed
+   * @returns {Promise<boolean>}
+   */
+  async init() {
+    return true;
+  }
+
+  /**
+   * Get all records and tombstones
+   * @returns {Promise<{clients: Array, sessions: Array, payments: Array, deleted: {clients: Array, sessions: Array, payments: Array}, cursor: string, keyCheck?: string}|null>}
+   */
+  async getData() {
+    return this.#notImplemented('getData');
+  }
+
+  /**
+   * Get records changed after the cursor, plus deleted IDs
+   * @param {string} since - Cursor from the previous getData/getChanges
+   * @returns {Promise<Object|{invalidCursor: true}|null>} - Same shape as getData
+   */
+  async getChanges(since) {
+    return this.#notImplemented('getChanges');
+  }
+
+  /**
+   * Save a client
+   * @param {Object} client
+   * @returns {Promise<boolean>}
+   */
+  async saveClient(client) {
+    return (await this.batch([{ action: 'saveClient', data: client }]))[0].success;
+  }
+
+  /**
+   * Save a session
+   * @param {Object} session
+   * @returns {Promise<boolean>}
+   */
+  async saveSession(session) {
+    return (await this.batch([{ action: 'saveSession', data: session }]))[0].success;
+  }
+
+  /**
+   * Delete a client
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async deleteClient(id) {
+    return (await this.batch([{ action: 'deleteClient', data: { id } }]))[0].success;
+  }
+
+  /**
+   * Delete a session
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async deleteSession(id) {
+    return (await this.batch([{ action: 'deleteSession', data: { id } }]))[0].success;
+  }
+
+  /**
+   * Apply several write operations
+   * @param {Array<{action: string, data: Object}>} items
+   * @returns {Promise<Array<Object>>} - Write result per item, in input order
+   */
+  async batch(items) {
+    return this.#notImplemented('batch');
+  }
+
+  /**
+   * Make the backend hold exactly the given records: each is saved regardless
+   * of its server version, and `removed` records are deleted (tombstoned), so
+   * other devices drop them too. Backends with a bulk overwrite override this.
+   * @param {Object} data
+   * @param {Array} data.clients - Records, already encrypted
+   * @param {Array} data.sessions - Records, already encrypted
+   * @param {Array} data.payments - Records, already encrypted
+   * @param {{clients: Array<string>, sessions: Array<string>, payments: Array<string>}} data.removed - IDs
+   *   the backend holds that are not in the records
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async replaceAll({ clients, sessions, payments, removed }) {
+    const results = await this.batch([
+      ...clients.map((data) => ({ action: 'saveClient', data })),
+      ...sessions.map((data) => ({ action: 'saveSession', data })),
+      ...payments.map((data) => ({ action: 'savePayment', data })),
+      ...removed.clients.map((id) => ({ action: 'deleteClient', data: { id } })),
+      ...removed.sessions.map((id) => ({ action: 'deleteSession', data: { id } })),
+      ...removed.payments.map((id) => ({ action: 'deletePayment', data: { id } }))
+    ]);
+
+    const failed = results.find((result) => !result.success);
+    if (failed) {
+      return { success: false, error: failed.error || 'Не все записи сохранены' };
+    }
+
+    // A save of a deleted record is acknowledged but ignored
+    if (results.some((result) => result.deleted)) {
+      return { success: false, error: 'Часть записей удалена на сервере и не может быть восстановлена' };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Get the change journal of a record, newest first
+   * @param {string} id - Record ID
+   * @returns {Promise<Array<{timestamp: string, deviceId: string, deviceName: string, action: string, type: string, changes: Object}>|null>} - null if the backend keeps no journal
+   */
+  async getHistory(id) {
+    return null;
+  }
+
+  /**
+   * Check the stored data for orphan sessions, duplicate IDs and invalid values
+   * @returns {Promise<Array<Object>|null>} - Issues as IntegrityService reports
+   *   them; null if the backend cannot check or could not be reached
+   */
+  async checkIntegrity() {
+    return null;
+  }
+
+  /**
+   * Apply every available fix of checkIntegrity to the stored data
+   * @returns {Promise<{fixed: number, remaining: number}|null>} - null if not supported or failed
+   */
+  async repairIntegrity() {
+    return null;
+  }
+
+  /**
+   * Describe a batch request for the service worker to sign and send later
+   * (Background Sync). The response must hold `results` like a batch response.
+   * @param {Array<{action: string, data: Object}>} items - Operations, already encrypted
+   * @returns {Promise<{url: string, headers: Object, signedAction: string, payload: string, signatureIn: 'body'|'headers', fields?: Object, key: CryptoKey}|null>}
+   *   `signedAction` and `payload` are signed like RequestSigner.sign; with
+   *   `signatureIn: 'body'` the body is JSON of `fields` plus `data: payload`
+   *   and the signature fields, otherwise the body is `payload` and the
+   *   signature goes into X-Request-* headers. null if not supported.
+   */
+  async backgroundRequest(items) {
+    return null;
+  }
+
+  /**
+   * Store the encryption key check value unless one is stored already
+   * @param {string} keyCheck
+   * @returns {Promise<string|null>} - Key check the backend holds now, or null on failure
+   */
+  async setKeyCheck(keyCheck) {
+    return this.#notImplemented('setKeyCheck');
+  }
+
+  /**
+   * @param {string} member
+   */
+  #notImplemented(member) {
+    throw new Error(`${this.constructor.name}: ${member} is not implemented`);
+  }
+}
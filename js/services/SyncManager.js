@@ -1,38 +1,166 @@
 import { GoogleSheetsService } from './GoogleSheetsService.js';
+import { RestApiService } from './RestApiService.js';
 import { SyncQueueService } from './SyncQueueService.js';
+import { LocalStorageService } from './LocalStorageService.js';
+import { ConflictService } from './ConflictService.js';
+import { CryptoService } from './CryptoService.js';
+import { SyncScheduler } from './SyncScheduler.js';
+import { BackgroundSyncService } from './BackgroundSyncService.js';
+import { SyncReportService } from './SyncReportService.js';
+import { BackupService } from './BackupService.js';
 
 /**
- * SyncManager - orchestrates synchronization between local data and Google Sheets.
+ * Synced entity types, the queue actions that write them and the fields
+ * that are encrypted before leaving the device
+ */
+const ENTITY_TYPES = {
+  clients: {
+    saveAction: 'saveClient',
+    deleteAction: 'deleteClient',
+    encryptedFields: ['notes', 'name']
+  },
+  sessions: {
+    saveAction: 'saveSession',
+    deleteAction: 'deleteSession',
+    encryptedFields: ['notes']
+  },
+  payments: {
+    saveAction: 'savePayment',
+    deleteAction: 'deletePayment',
+    encryptedFields: ['notes']
+  }
+};
+
+/**
+ * Available sync backends (all implement SyncBackend)
+ */
+const BACKENDS = {
+  googleSheets: GoogleSheetsService,
+  rest: RestApiService
+};
+
+/**
+ * Encrypted fields that are only encrypted when the "encrypt names" option is on
+ * (they are always decrypted when encrypted)
+ */
+const OPTIONAL_ENCRYPTED_FIELDS = new Set(['name']);
+
+/**
+ * Fields that do not count as a difference between two versions of a record
+ */
+const DIFF_IGNORED_FIELDS = new Set(['updatedAt', 'baseUpdatedAt']);
+
+/**
+ * Queue action -> entity type it writes
+ */
+const ACTION_TYPES = Object.fromEntries(
+  Object.entries(ENTITY_TYPES).flatMap(([type, { saveAction, deleteAction }]) => [
+    [saveAction, type],
+    [deleteAction, type]
+  ])
+);
+
+/**
+ * SyncManager - orchestrates synchronization between local data and a sync backend
+ * (Google Sheets or a self-hosted REST server).
  *
  * This service is responsible for:
  * - Managing connection state (online/offline)
  * - Coordinating sync operations
- * - Merging remote and local data
+ * - Pulling only changes since the last sync (change cursor)
+ * - Merging remote and local data (three-way, against the last known server version)
+ * - Keeping unresolved conflicts for manual resolution
+ * - Encrypting selected fields before pushing and decrypting pulled data;
+ *   nothing is pushed until the passphrase matches the backend's key check
+ * - Reporting what each sync did and keeping a short history of reports
+ * - Recovery: previewing and then overwriting one side with the other,
+ *   after backing up the side being overwritten
+ * - Reading the change journal of a record
+ * - Checking and repairing the data stored by the backend
+ * - Syncing automatically (SyncScheduler) and handing the queue to the
+ *   service worker when the page is hidden (Background Sync)
  * - Notifying listeners of state changes
  */
 export class SyncManager {
-  #googleSheets;
+  #backend;
+  #backendType;
+  #apiKey;
+  #device;
+  #maxBatchItems;
   #syncQueue;
+  #queueLoaded;
+  #conflicts;
+  #reports;
+  #backups;
+  #crypto;
+  #encryptNames;
+  #keyVerified;
+  #encryptionError;
   #isOnline;
   #isSyncing;
   #connectionListeners;
   #syncListeners;
+  #cursorStorageKey;
+  #scheduler;
+  #background;
+  #onVisibilityChange;
 
   /**
    * @param {Object} config - Configuration object
-   * @param {string} config.scriptUrl - Google Apps Script URL
-   * @param {number} [config.maxUrlLength] - Max URL length for requests
+   * @param {'googleSheets'|'rest'} [config.backend] - Sync backend type
+   * @param {string} config.url - Backend URL (Apps Script deployment or REST base URL)
+   * @param {string} [config.apiKey] - Shared secret for signing requests
+   * @param {{id: string, name: string}} [config.device] - Identity sent with requests (DeviceIdentity)
+   * @param {LocalStorageService} [config.storage] - On-device storage for the sync queue and backups
+   * @param {string} [config.encryptionPassphrase] - Passphrase for field encryption ('' = off)
+   * @param {boolean} [config.encryptNames] - Also encrypt client names
+   * @param {number} [config.maxBatchItems] - Max operations per batch request
+   * @param {string} [config.cursorStorageKey] - localStorage key for the change cursor
    */
   constructor(config = {}) {
-    this.#googleSheets = new GoogleSheetsService(
-      config.scriptUrl || '',
-      config.maxUrlLength
+    this.#maxBatchItems = config.maxBatchItems;
+    this.#backendType = BACKENDS[config.backend] ? config.backend : 'googleSheets';
+    this.#backend = new BACKENDS[this.#backendType](
+      config.url || '',
+      this.#maxBatchItems,
+      config.apiKey || ''
     );
-    this.#syncQueue = new SyncQueueService();
+    this.#apiKey = config.apiKey || '';
+    this.#device = config.device || null;
+    this.#backend.device = this.#device;
+    const storage = config.storage || new LocalStorageService();
+    this.#syncQueue = new SyncQueueService(storage);
+    this.#queueLoaded = this.#syncQueue.load();
+    this.#conflicts = new ConflictService();
+    this.#reports = new SyncReportService();
+    this.#backups = new BackupService(storage);
+    this.#crypto = new CryptoService(config.encryptionPassphrase || '');
+    this.#encryptNames = Boolean(config.encryptNames);
+    this.#keyVerified = false;
+    this.#encryptionError = null;
     this.#isOnline = false;
     this.#isSyncing = false;
     this.#connectionListeners = [];
     this.#syncListeners = [];
+    this.#cursorStorageKey = config.cursorStorageKey || 'therapy_sync_cursor';
+    this.#scheduler = null;
+    this.#background = new BackgroundSyncService();
+    this.#onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        this.#stageBackgroundSync();
+      } else {
+        this.#collectBackgroundResults();
+      }
+    };
+  }
+
+  /**
+   * Get a promise that resolves once the stored sync queue is loaded
+   * (queue getters report an empty queue until then)
+   * @returns {Promise<void>}
+   */
+  get ready() {
+    return this.#queueLoaded;
   }
 
   /**
@@ -59,20 +187,211 @@ export class SyncManager {
     return this.#syncQueue.length;
   }
 
+  /**
+   * Get queue state for the UI
+   * @returns {{pending: number, waiting: number, failed: number, nextRetryAt: string|null}}
+   *   pending - all queued items; waiting - queued items backing off after a failure;
+   *   failed - dead-lettered items that are no longer retried automatically
+   */
+  get queueStatus() {
+    return {
+      pending: this.#syncQueue.length,
+      waiting: this.#syncQueue.waitingCount,
+      failed: this.#syncQueue.deadLetterCount,
+      nextRetryAt: this.#syncQueue.nextRetryAt
+    };
+  }
+
+  /**
+   * Get every pending and dead-lettered operation for the queue inspector
+   * @returns {Array<{action: string, data: Object, timestamp: string, attempts: number, lastError: string|null, nextRetryAt: string|null, state: 'pending'|'waiting'|'failed'}>}
+   */
+  get queueItems() {
+    const now = Date.now();
+    const pending = this.#syncQueue.getAll().map((item) => ({
+      ...item,
+      state:
+        item.nextRetryAt && new Date(item.nextRetryAt).getTime() > now
+          ? 'waiting'
+          : 'pending'
+    }));
+    const failed = this.#syncQueue
+      .getDeadLetters()
+      .map((item) => ({ ...item, state: 'failed' }));
+
+    return [...pending, ...failed];
+  }
+
+  /**
+   * Get dead-lettered queue items
+   * @returns {Array<{action: string, data: Object, attempts: number, lastError: string, failedAt: string}>}
+   */
+  get deadLetters() {
+    return this.#syncQueue.getDeadLetters();
+  }
+
+  /**
+   * Get unresolved conflicts
+   * @returns {Array<{type: string, id: string, remote: Object, fields: Array, detectedAt: string}>}
+   */
+  get conflicts() {
+    return this.#conflicts.getAll();
+  }
+
+  /**
+   * Get the reports of the latest syncs, newest first
+   * @returns {Array<Object>} - See SyncReportService
+   */
+  get syncReports() {
+    return this.#reports.getAll();
+  }
+
+  /**
+   * Get the time the last successful sync finished
+   * @returns {string|null} - ISO timestamp
+   */
+  get lastSyncedAt() {
+    return this.#reports.lastSuccessAt;
+  }
+
+  /**
+   * Get the reason pushing is blocked by encryption (wrong passphrase etc.)
+   * @returns {string|null}
+   */
+  get encryptionError() {
+    return this.#encryptionError;
+  }
+
   /**
    * Check if service is configured
    * @returns {boolean}
    */
   get isConfigured() {
-    return this.#googleSheets.isConfigured;
+    return this.#backend.isConfigured;
   }
 
   /**
-   * Update script URL
+   * Get the current backend type
+   * @returns {'googleSheets'|'rest'}
+   */
+  get backendType() {
+    return this.#backendType;
+  }
+
+  /**
+   * Switch the sync backend or update its URL.
+   * Base versions of records belong to the old backend, so switching
+   * forgets them (the first sync then compares timestamps).
+   * @param {'googleSheets'|'rest'} type
    * @param {string} url
    */
-  setScriptUrl(url) {
-    this.#googleSheets.scriptUrl = url;
+  setBackend(type, url) {
+    if (!BACKENDS[type]) {
+      throw new Error(`SyncManager: unknown backend "${type}"`);
+    }
+
+    if (type !== this.#backendType) {
+      this.#backendType = type;
+      this.#backend = new BACKENDS[type](url, this.#maxBatchItems, this.#apiKey);
+      this.#backend.device = this.#device;
+      this.#conflicts.clear();
+      this.#keyVerified = false;
+      this.#encryptionError = null;
+      this.#isOnline = false;
+    }
+
+    if (url !== this.#backend.url) {
+      this.#saveCursor(null);
+    }
+    this.#backend.url = url;
+  }
+
+  /**
+   * Update the API key used to sign requests
+   * @param {string} key
+   */
+  setApiKey(key) {
+    this.#apiKey = key;
+    this.#backend.apiKey = key;
+  }
+
+  /**
+   * Update encryption settings.
+   * The next sync pulls everything again, so records stored in the sheet
+   * unencrypted are found and pushed encrypted.
+   * @param {string} passphrase - '' turns encryption off
+   * @param {boolean} encryptNames - Also encrypt client names
+   */
+  setEncryption(passphrase, encryptNames) {
+    if (
+      passphrase === this.#crypto.passphrase &&
+      Boolean(encryptNames) === this.#encryptNames
+    ) {
+      return;
+    }
+
+    this.#crypto.passphrase = passphrase;
+    this.#encryptNames = Boolean(encryptNames);
+    this.#keyVerified = false;
+    this.#encryptionError = null;
+    this.#saveCursor(null);
+  }
+
+  /**
+   * Get the change journal of a record, newest first.
+   * Encrypted values are decrypted when the passphrase allows it;
+   * the rest are reported as `encrypted` with no value.
+   * @param {'clients'|'sessions'|'payments'} type
+   * @param {string} id
+   * @returns {Promise<Array<{timestamp: string, deviceId: string, deviceName: string, action: string, changes: Array<{field: string, value: *, encrypted: boolean}>}>|null>}
+   *   null if the backend keeps no journal or could not be reached
+   */
+  async getHistory(type, id) {
+    if (!this.#backend.isConfigured) {
+      return null;
+    }
+
+    const entries = await this.#backend.getHistory(id);
+    if (!entries) {
+      return null;
+    }
+
+    return Promise.all(
+      entries
+        .filter((entry) => !entry.type || entry.type === type)
+        .map(async (entry) => ({
+          ...entry,
+          changes: await Promise.all(
+            Object.entries(entry.changes || {}).map(([field, value]) =>
+              this.#decryptHistoryValue(field, value)
+            )
+          )
+        }))
+    );
+  }
+
+  /**
+   * Check the data stored by the backend (see IntegrityService)
+   * @returns {Promise<Array<Object>|null>} - null if the backend cannot check
+   *   or could not be reached
+   */
+  async checkRemoteIntegrity() {
+    if (!this.#backend.isConfigured) {
+      return null;
+    }
+    return this.#backend.checkIntegrity();
+  }
+
+  /**
+   * Apply every available fix to the data stored by the backend.
+   * Repaired records reach this device with the next sync.
+   * @returns {Promise<{fixed: number, remaining: number}|null>}
+   */
+  async repairRemoteIntegrity() {
+    if (!this.#backend.isConfigured) {
+      return null;
+    }
+    return this.#backend.repairIntegrity();
   }
 
   /**
@@ -84,19 +403,51 @@ export class SyncManager {
   }
 
   /**
-   * Register a sync complete listener
-   * @param {Function} callback - function(data)
+   * Register a sync complete listener, called after every sync that ran
+   * @param {Function} callback - function(data, report); data is null if the sync failed
    */
   onSyncComplete(callback) {
     this.#syncListeners.push(callback);
   }
 
+  /**
+   * Start syncing automatically: on an interval, when the page comes back to
+   * the foreground and after local writes. While the page is hidden, queued
+   * changes are handed to the service worker where Background Sync exists.
+   * @param {() => Promise<boolean>} runSync - Checks the connection, syncs and
+   *   applies merged data; resolves to whether the sync went through
+   * @param {Object} [options] - See SyncScheduler
+   */
+  startAutoSync(runSync, options) {
+    this.stopAutoSync();
+
+    this.#scheduler = new SyncScheduler(async () => {
+      // Nothing to sync with, or a manual sync is running - not a failure
+      if (!this.#backend.isConfigured || this.#isSyncing) {
+        return true;
+      }
+      return runSync();
+    }, options);
+
+    this.#scheduler.start();
+    document.addEventListener('visibilitychange', this.#onVisibilityChange);
+  }
+
+  /**
+   * Stop automatic syncing
+   */
+  stopAutoSync() {
+    this.#scheduler?.stop();
+    this.#scheduler = null;
+    document.removeEventListener('visibilitychange', this.#onVisibilityChange);
+  }
+
   /**
    * Check connection and update state
    * @returns {Promise<boolean>} - Whether connection is online
    */
   async checkConnection() {
-    if (!this.#googleSheets.isConfigured) {
+    if (!this.#backend.isConfigured) {
       this.#isOnline = false;
       this.#notifyConnectionChange(false, 'Локальное хранилище');
       return false;
@@ -104,7 +455,7 @@ export class SyncManager {
 
     this.#notifyConnectionChange(false, 'Подключение...');
 
-    const isConnected = await this.#googleSheets.ping();
+    const isConnected = await this.#backend.ping();
 
     if (isConnected) {
       this.#isOnline = true;
@@ -112,81 +463,157 @@ export class SyncManager {
       this.#notifyConnectionChange(true, statusText);
     } else {
       this.#isOnline = false;
-      this.#notifyConnectionChange(false, 'Офлайн режим');
+      this.#notifyConnectionChange(
+        false,
+        this.#backend.authFailed ? 'Неверный ключ доступа' : 'Офлайн режим'
+      );
     }
 
     return this.#isOnline;
   }
 
   /**
-   * Perform full sync cycle: process queue, fetch remote data, merge
+   * Perform sync cycle: process queue, pull remote changes, merge.
+   * Only rows changed since the saved cursor are pulled; a full pull happens
+   * on first sync or when the server rejects the cursor.
+   * Every sync that runs produces a report (see SyncReportService), kept in
+   * the sync history and passed to onSyncComplete listeners.
    * @param {Array} localClients - Current local clients
    * @param {Array} localSessions - Current local sessions
-   * @returns {Promise<{clients: Array, sessions: Array}|null>}
+   * @param {Array} [localPayments] - Current local payments
+   * @returns {Promise<{clients: Array, sessions: Array, payments: Array, report: Object}|null>}
    */
-  async sync(localClients, localSessions) {
-    if (!this.#isOnline || !this.#googleSheets.isConfigured || this.#isSyncing) {
+  async sync(localClients, localSessions, localPayments = []) {
+    if (!this.#isOnline || !this.#backend.isConfigured || this.#isSyncing) {
       return null;
     }
 
     this.#isSyncing = true;
 
+    const report = createReport();
+    const conflictsBefore = new Set(this.#conflictKeys());
+    let merged = null;
+
     try {
+      await this.#queueLoaded;
+
+      // Changes sent by the service worker must not be sent again
+      report.pushed += await this.#collectBackgroundResults();
+
       // Process pending queue items first
-      await this.#processQueue();
+      addQueueResult(report, await this.#processQueue());
+
+      const cursor = this.#loadCursor();
+      let remoteData = null;
 
-      // Initialize spreadsheet if needed
-      await this.#googleSheets.init();
+      if (cursor) {
+        const changes = await this.#backend.getChanges(cursor);
+
+        if (changes && !changes.invalidCursor) {
+          remoteData = changes;
+        } else {
+          console.log('SyncManager: change cursor rejected, doing full pull');
+        }
+      }
+
+      if (!remoteData) {
+        report.fullPull = true;
+
+        // Initialize backend storage if needed
+        await this.#backend.init();
+
+        // Fetch remote data
+        remoteData = await this.#backend.getData();
+
+        if (!remoteData || !remoteData.clients || !remoteData.sessions) {
+          console.error('SyncManager: failed to get remote data');
+          report.errors.push('Не удалось получить данные с сервера');
+          return null;
+        }
+      }
 
-      // Fetch remote data
-      const remoteData = await this.#googleSheets.getData();
+      report.pulled = countPulled(remoteData);
 
-      if (!remoteData || !remoteData.clients || !remoteData.sessions) {
-        console.error('SyncManager: failed to get remote data');
+      const plainIds = await this.#decryptRemote(remoteData);
+      if (!plainIds) {
+        report.errors.push(this.#encryptionError || 'Не удалось расшифровать данные');
         return null;
       }
 
-      // Merge data
-      const merged = this.mergeData(remoteData, localClients, localSessions);
+      merged = this.mergeData(remoteData, localClients, localSessions, localPayments, {
+        partial: !report.fullPull,
+        plainIds
+      });
+      this.#saveCursor(remoteData.cursor || null);
+      report.local = countLocalChanges(
+        { clients: localClients, sessions: localSessions, payments: localPayments },
+        merged
+      );
 
-      // Notify listeners
-      this.#notifySyncComplete(merged);
+      // Local changes found by the merge; saves refused as conflicting are
+      // merged here, where the result reaches local state
+      const queueResult = await this.#processQueue({ mergeConflicts: true });
+      addQueueResult(report, queueResult);
+      merged = replaceRecords(merged, queueResult.merged);
 
       // Update connection status
       this.#notifyConnectionChange(true, this.#getConnectionStatusText());
 
-      return merged;
+      report.success = true;
+      return { ...merged, report };
     } catch (e) {
       console.error('SyncManager: sync failed', e);
+      report.errors.push(e.message);
       return null;
     } finally {
       this.#isSyncing = false;
+
+      report.conflicts = this.#conflictKeys().filter((key) => !conflictsBefore.has(key)).length;
+      report.queue.remaining = this.#syncQueue.length;
+      report.finishedAt = new Date().toISOString();
+      report.durationMs = Date.parse(report.finishedAt) - Date.parse(report.startedAt);
+      this.#reports.add(report);
+
+      // Notify listeners
+      this.#notifySyncComplete(merged && { ...merged, report }, report);
     }
   }
 
   /**
-   * Push a single change, with queue fallback if offline
+   * Push a single change, with queue fallback if offline.
+   * A save refused as conflicting is merged with the server version; the
+   * merged record is returned and must replace the local one.
    * @param {string} action - Action type
    * @param {Object} data - Data to push
-   * @returns {Promise<{success: boolean, queued: boolean}>}
+   * @returns {Promise<{success: boolean, queued: boolean, error?: string, conflict?: boolean, merged?: Object}>}
    */
   async pushChange(action, data) {
+    await this.#queueLoaded;
+
     // Always add to queue first
-    this.#syncQueue.add(action, data);
+    const item = this.#syncQueue.add(action, data);
+    this.#scheduler?.notifyLocalWrite();
 
     // If online, try to push immediately
-    if (this.#isOnline && this.#googleSheets.isConfigured) {
-      const success = await this.#executePush(action, data);
+    if (this.#isOnline && this.#backend.isConfigured && this.#canPush()) {
+      const merged = [];
+      const [result] = await this.#pushItems([item], merged);
 
-      if (success) {
-        // Remove from queue on success
-        this.#syncQueue.removeById(data.id);
+      if (result.success) {
+        // Remove from queue on success, unless a newer change replaced it meanwhile
+        this.#syncQueue.removeItems([item]);
         this.#notifyConnectionChange(true, this.#getConnectionStatusText());
         return { success: true, queued: false };
       } else {
         // Keep in queue, update status
         this.#notifyConnectionChange(true, this.#getConnectionStatusText());
-        return { success: false, queued: true };
+        return {
+          success: false,
+          queued: this.#syncQueue.getAll().some((queued) => queued.data?.id === data.id),
+          error: result.error,
+          conflict: result.conflict,
+          merged: merged[0]?.record
+        };
       }
     }
 
@@ -195,7 +622,7 @@ export class SyncManager {
 
   /**
    * Track a deleted item
-   * @param {'clients'|'sessions'} type
+   * @param {'clients'|'sessions'|'payments'} type
    * @param {string} id
    */
   trackDeleted(type, id) {
@@ -203,19 +630,77 @@ export class SyncManager {
   }
 
   /**
-   * Force process the sync queue
-   * @returns {Promise<{successful: number, failed: number}>}
+   * Force process the sync queue, including items still backing off
+   * @returns {Promise<{successful: number, failed: number, deadLettered: number}>}
    */
   async forceProcessQueue() {
     if (!this.#isOnline || this.#isSyncing) {
-      return { successful: 0, failed: this.#syncQueue.length };
+      return { successful: 0, failed: this.#syncQueue.length, deadLettered: 0 };
     }
 
-    const result = await this.#processQueue();
+    await this.#queueLoaded;
+    const result = await this.#processQueue({ ignoreBackoff: true });
     this.#notifyConnectionChange(true, this.#getConnectionStatusText());
     return result;
   }
 
+  /**
+   * Retry one queued or dead-lettered operation now
+   * @param {string} id - Data ID of the operation
+   * @returns {Promise<boolean>} - Whether it was sent successfully
+   */
+  async retryQueueItem(id) {
+    await this.#queueLoaded;
+    this.#syncQueue.retry(id);
+
+    if (this.#isOnline && !this.#isSyncing) {
+      await this.#processQueue();
+    }
+
+    this.#notifyConnectionChange(this.#isOnline, this.#getConnectionStatusText());
+    return !this.queueItems.some((item) => item.data?.id === id);
+  }
+
+  /**
+   * Drop one queued or dead-lettered operation. Deleted-ID tracking is kept,
+   * so a discarded delete still does not bring the record back locally.
+   * @param {string} id - Data ID of the operation
+   */
+  discardQueueItem(id) {
+    this.#syncQueue.removeById(id);
+    this.#notifyConnectionChange(this.#isOnline, this.#getConnectionStatusText());
+  }
+
+  /**
+   * Put dead-lettered items back into the queue
+   * @param {string} [id] - Data ID of one item; all items if omitted
+   */
+  retryFailed(id) {
+    this.#syncQueue.retryDeadLetters(id);
+    this.#notifyConnectionChange(this.#isOnline, this.#getConnectionStatusText());
+  }
+
+  /**
+   * Resolve a conflict with the chosen field values.
+   * The returned record should replace the local one and be pushed.
+   * @param {'clients'|'sessions'|'payments'} type - Entity type
+   * @param {Object} local - Current local record
+   * @param {Object} values - Chosen value per conflicting field
+   * @returns {Object|null} - Resolved record, or null if there is no such conflict
+   */
+  resolveConflict(type, local, values) {
+    const conflict = this.#conflicts.get(type, local.id);
+    if (!conflict) {
+      return null;
+    }
+
+    // The resolved record is based on the server version the conflict was found against
+    this.#conflicts.setBase(type, conflict.remote);
+    this.#conflicts.remove(type, local.id);
+
+    return { ...local, ...values, updatedAt: new Date().toISOString() };
+  }
+
   /**
    * Clear the sync queue
    */
@@ -224,130 +709,284 @@ export class SyncManager {
   }
 
   /**
-   * Merge remote data with local data using timestamp-based conflict resolution.
-   * Also queues local changes that are newer than remote.
-   * @param {Object} remoteData - { clients: Array, sessions: Array }
-   * @param {Array} localClients - Local clients
-   * @param {Array} localSessions - Local sessions
-   * @returns {{clients: Array, sessions: Array}}
+   * Compute what a recovery would change, without changing anything.
+   * 'push' makes the backend hold exactly the records of this device,
+   * 'pull' replaces the records of this device with the backend's.
+   * The plan is passed to applyRecovery once the user has confirmed it.
+   * @param {'push'|'pull'} direction
+   * @param {Array} localClients - Current local clients
+   * @param {Array} localSessions - Current local sessions
+   * @param {Array} [localPayments] - Current local payments
+   * @returns {Promise<Object>} - Plan: { direction, local, remote, plainIds, cursor, diff };
+   *   diff holds per type what the overwritten side gains (added), gets replaced
+   *   ({record, fields} in changed) and loses (removed)
+   * @throws {Error} With a message for the user if the backend could not be read
    */
-  mergeData(remoteData, localClients, localSessions) {
-    const localClientMap = new Map(localClients.map((c) => [c.id, c]));
-    const localSessionMap = new Map(localSessions.map((s) => [s.id, s]));
+  async previewRecovery(direction, localClients, localSessions, localPayments = []) {
+    if (!this.#isOnline || !this.#backend.isConfigured) {
+      throw new Error('Нет соединения');
+    }
+    if (this.#isSyncing) {
+      throw new Error('Идёт синхронизация, попробуйте позже');
+    }
 
-    // Filter out items that were deleted locally
-    const activeRemoteClients = remoteData.clients.filter(
-      (c) => !this.#syncQueue.isDeleted('clients', c.id)
-    );
-    const activeRemoteSessions = remoteData.sessions.filter(
-      (s) => !this.#syncQueue.isDeleted('sessions', s.id)
-    );
+    await this.#queueLoaded;
+    await this.#backend.init();
 
-    // Start with copies of local data
-    const mergedClients = [...localClients];
-    const mergedSessions = [...localSessions];
+    const remoteData = await this.#backend.getData();
+    if (!remoteData || !remoteData.clients || !remoteData.sessions) {
+      throw new Error('Не удалось получить данные с сервера');
+    }
 
-    // Merge remote clients
-    activeRemoteClients.forEach((remoteClient) => {
-      const localClient = localClientMap.get(remoteClient.id);
+    const plainIds = await this.#decryptRemote(remoteData);
+    if (!plainIds) {
+      throw new Error(this.#encryptionError || 'Не удалось расшифровать данные');
+    }
 
-      if (!localClient) {
-        // Remote client doesn't exist locally - add it
-        mergedClients.push(remoteClient);
-      } else {
-        // Compare timestamps, use newer version
-        const localTime = new Date(localClient.updatedAt || 0).getTime();
-        const remoteTime = new Date(remoteClient.updatedAt || 0).getTime();
-
-        if (remoteTime > localTime) {
-          const index = mergedClients.findIndex((c) => c.id === remoteClient.id);
-          if (index !== -1) {
-            mergedClients[index] = remoteClient;
-          }
-        }
+    const local = { clients: [...localClients], sessions: [...localSessions], payments: [...localPayments] };
+    const remote = {
+      clients: remoteData.clients,
+      sessions: remoteData.sessions,
+      // Scripts older than the payment ledger have no payments sheet
+      payments: remoteData.payments || []
+    };
+    const [source, target] = direction === 'push' ? [local, remote] : [remote, local];
+
+    return {
+      direction,
+      local,
+      remote,
+      plainIds,
+      cursor: remoteData.cursor || null,
+      diff: Object.fromEntries(
+        Object.keys(ENTITY_TYPES).map((type) => [type, diffRecords(target[type], source[type])])
+      )
+    };
+  }
+
+  /**
+   * Carry out a previewed recovery. The side being overwritten is backed up
+   * first; if the backup fails, nothing is changed. Afterwards both sides hold
+   * the same records, so the queue, deleted-ID tracking and conflicts are cleared.
+   * @param {Object} plan - From previewRecovery
+   * @returns {Promise<{clients: Array, sessions: Array, payments: Array}>} - Records to keep locally
+   * @throws {Error} With a message for the user if the recovery did not run
+   */
+  async applyRecovery(plan) {
+    const pushing = plan.direction === 'push';
+
+    if (!this.#isOnline || !this.#backend.isConfigured) {
+      throw new Error('Нет соединения');
+    }
+    if (this.#isSyncing) {
+      throw new Error('Идёт синхронизация, попробуйте позже');
+    }
+    if (pushing && !this.#canPush()) {
+      throw new Error(this.#encryptionError || 'Фраза шифрования не проверена');
+    }
+
+    this.#isSyncing = true;
+
+    try {
+      const replaced = pushing ? plan.remote : plan.local;
+      try {
+        await this.#backups.add({
+          direction: plan.direction,
+          source: pushing ? 'remote' : 'device',
+          label: pushing ? this.#backend.label : 'Устройство',
+          clients: replaced.clients,
+          sessions: replaced.sessions,
+          payments: replaced.payments
+        });
+      } catch (e) {
+        console.error('SyncManager: failed to back up before recovery', e);
+        throw new Error('Не удалось сохранить резервную копию, данные не изменены');
       }
-    });
 
-    // Merge remote sessions
-    activeRemoteSessions.forEach((remoteSession) => {
-      const localSession = localSessionMap.get(remoteSession.id);
+      // A batch staged for the service worker would replay older changes
+      await this.#background.take();
 
-      if (!localSession) {
-        // Remote session doesn't exist locally - add it
-        mergedSessions.push(remoteSession);
-      } else {
-        // Compare timestamps, use newer version
-        const localTime = new Date(localSession.updatedAt || 0).getTime();
-        const remoteTime = new Date(remoteSession.updatedAt || 0).getTime();
+      const records = pushing ? plan.local : plan.remote;
 
-        if (remoteTime > localTime) {
-          const index = mergedSessions.findIndex(
-            (s) => s.id === remoteSession.id
+      if (pushing) {
+        const data = { removed: {} };
+        for (const type of Object.keys(ENTITY_TYPES)) {
+          data[type] = await Promise.all(
+            records[type].map((record) => this.#encryptRecord(type, record))
           );
-          if (index !== -1) {
-            mergedSessions[index] = remoteSession;
-          }
+          data.removed[type] = plan.diff[type].removed.map((record) => record.id);
+        }
+
+        const result = await this.#backend.replaceAll(data);
+        if (!result.success) {
+          throw new Error(result.error || 'Не удалось записать данные');
         }
       }
-    });
 
-    // Queue local items that are newer or don't exist remotely
-    localClients.forEach((localClient) => {
-      const remoteClient = remoteData.clients.find(
-        (c) => c.id === localClient.id
-      );
+      this.#syncQueue.clearAll();
+      this.#conflicts.clear();
+      Object.keys(ENTITY_TYPES).forEach((type) => {
+        records[type].forEach((record) => this.#conflicts.setBase(type, record));
+      });
 
-      if (!remoteClient) {
-        this.#syncQueue.add('saveClient', localClient);
-      } else {
-        const localTime = new Date(localClient.updatedAt || 0).getTime();
-        const remoteTime = new Date(remoteClient.updatedAt || 0).getTime();
+      // After a push the backend resets cursors; the next sync pulls everything
+      this.#saveCursor(pushing ? null : plan.cursor);
 
-        if (localTime > remoteTime) {
-          this.#syncQueue.add('saveClient', localClient);
-        }
+      const kept = {
+        clients: [...records.clients],
+        sessions: [...records.sessions],
+        payments: [...records.payments]
+      };
+      if (!pushing) {
+        this.#queueForEncryption(plan.plainIds, kept);
       }
+      return kept;
+    } finally {
+      this.#isSyncing = false;
+      this.#notifyConnectionChange(this.#isOnline, this.#getConnectionStatusText());
+    }
+  }
+
+  /**
+   * Get the backups taken before recoveries, newest first
+   * @returns {Promise<Array<Object>>} - See BackupService
+   */
+  getBackups() {
+    return this.#backups.getAll();
+  }
+
+  /**
+   * Merge remote data with local data using timestamp-based conflict resolution.
+   * Records with a server tombstone are dropped locally.
+   * Also queues local changes that are newer than remote.
+   * @param {Object} remoteData - { clients: Array, sessions: Array, payments?: Array, deleted?: {clients: Array, sessions: Array, payments?: Array} }
+   * @param {Array} localClients - Local clients
+   * @param {Array} localSessions - Local sessions
+   * @param {Array} localPayments - Local payments
+   * @param {Object} [options]
+   * @param {boolean} [options.partial] - remoteData holds only changed rows, so records
+   *   missing from it are unchanged rather than absent from the sheet
+   * @param {Object<string, Set<string>>} [options.plainIds] - Records stored
+   *   unencrypted in the sheet, queued to be pushed encrypted
+   * @returns {{clients: Array, sessions: Array, payments: Array}}
+   */
+  mergeData(
+    remoteData,
+    localClients,
+    localSessions,
+    localPayments = [],
+    { partial = false, plainIds = null } = {}
+  ) {
+    const merged = {
+      clients: this.#mergeRecords('clients', remoteData, localClients, partial),
+      sessions: this.#mergeRecords('sessions', remoteData, localSessions, partial),
+      payments: this.#mergeRecords('payments', remoteData, localPayments, partial)
+    };
+
+    if (plainIds) {
+      this.#queueForEncryption(plainIds, merged);
+    }
+
+    // Process queue after merge if there are items (sync() does it by itself)
+    if (!this.#syncQueue.isEmpty && this.#isOnline && !this.#isSyncing) {
+      setTimeout(() => this.#processQueue(), 100);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Merge one entity type
+   * @param {'clients'|'sessions'|'payments'} type
+   * @param {Object} remoteData - See mergeData
+   * @param {Array} localRecords
+   * @param {boolean} partial - See mergeData
+   * @returns {Array}
+   */
+  #mergeRecords(type, remoteData, localRecords, partial) {
+    const { saveAction } = ENTITY_TYPES[type];
+    const remoteRecords = remoteData[type] || [];
+    const remoteMap = new Map(remoteRecords.map((r) => [r.id, r]));
+    const localIds = new Set(localRecords.map((r) => r.id));
+
+    // Records with a server tombstone (deleted on any device)
+    const deletedRemotely = new Set(remoteData.deleted?.[type] || []);
+    const queuedIds = new Set(this.#syncQueue.getAll().map((item) => item.data?.id));
+    deletedRemotely.forEach((id) => {
+      // Pending operations for it are moot, and local tracking is no longer needed
+      if (queuedIds.has(id)) {
+        this.#syncQueue.removeById(id);
+      }
+      this.#syncQueue.removeDeletedId(type, id);
+      this.#conflicts.removeBase(type, id);
     });
 
-    localSessions.forEach((localSession) => {
-      const remoteSession = remoteData.sessions.find(
-        (s) => s.id === localSession.id
-      );
+    const merged = [];
 
-      if (!remoteSession) {
-        this.#syncQueue.add('saveSession', localSession);
-      } else {
-        const localTime = new Date(localSession.updatedAt || 0).getTime();
-        const remoteTime = new Date(remoteSession.updatedAt || 0).getTime();
+    localRecords.forEach((local) => {
+      if (deletedRemotely.has(local.id)) {
+        return;
+      }
 
-        if (localTime > remoteTime) {
-          this.#syncQueue.add('saveSession', localSession);
+      const remote = remoteMap.get(local.id);
+
+      if (!remote) {
+        // Not in the sheet - push it (a partial pull only lists changed rows)
+        if (!partial) {
+          this.#syncQueue.add(saveAction, local);
         }
+        merged.push(local);
+        return;
       }
+
+      merged.push(this.#mergeRecord(type, local, remote));
     });
 
-    // Process queue after merge if there are items
-    if (!this.#syncQueue.isEmpty && this.#isOnline) {
-      setTimeout(() => this.#processQueue(), 100);
-    }
+    // Remote records that don't exist locally (and weren't deleted here)
+    remoteRecords.forEach((remote) => {
+      if (
+        !localIds.has(remote.id) &&
+        !deletedRemotely.has(remote.id) &&
+        !this.#syncQueue.isDeleted(type, remote.id)
+      ) {
+        this.#conflicts.setBase(type, remote);
+        merged.push(remote);
+      }
+    });
 
-    return { clients: mergedClients, sessions: mergedSessions };
+    return merged;
   }
 
   /**
-   * Process all items in the sync queue
-   * @returns {Promise<{successful: number, failed: number}>}
+   * Process the sync queue items that are due for a (re)try
+   * @param {Object} [options] - See SyncQueueService.processBatch
+   * @param {boolean} [options.mergeConflicts] - Merge saves refused as conflicting
+   *   (see #pushItems); only for callers that put the merged records into local state
+   * @returns {Promise<{successful: number, failed: number, deadLettered: number, errors: Array<string>, merged: Array<{type: string, record: Object}>}>}
    */
-  async #processQueue() {
+  async #processQueue({ mergeConflicts = false, ...options } = {}) {
+    const merged = [];
+
     if (this.#syncQueue.isEmpty || !this.#isOnline) {
-      return { successful: 0, failed: 0 };
+      return { successful: 0, failed: 0, deadLettered: 0, errors: [], merged };
+    }
+
+    if (!this.#canPush()) {
+      return {
+        successful: 0,
+        failed: this.#syncQueue.length,
+        deadLettered: 0,
+        errors: this.#encryptionError ? [this.#encryptionError] : [],
+        merged
+      };
     }
 
     console.log(`SyncManager: processing ${this.#syncQueue.length} queue items`);
 
-    const result = await this.#syncQueue.process(async (item) => {
-      return this.#executePush(item.action, item.data);
-    });
+    const result = await this.#syncQueue.processBatch(
+      (items) => this.#pushItems(items, mergeConflicts ? merged : null),
+      options
+    );
 
     if (result.failed.length > 0) {
       console.log(
@@ -355,33 +994,513 @@ export class SyncManager {
       );
     }
 
+    if (result.deadLettered.length > 0) {
+      console.warn(
+        `SyncManager: ${result.deadLettered.length} items moved to dead letters`,
+        result.deadLettered.map((item) => item.lastError)
+      );
+    }
+
+    this.#notifyConnectionChange(true, this.#getConnectionStatusText());
+
     return {
       successful: result.successful.length,
-      failed: result.failed.length
+      failed: result.failed.length - result.deadLettered.length,
+      deadLettered: result.deadLettered.length,
+      errors: [...new Set(result.failed.map((item) => item.lastError).filter(Boolean))],
+      merged
     };
   }
 
   /**
-   * Execute a push operation based on action type
-   * @param {string} action
-   * @param {Object} data
-   * @returns {Promise<boolean>}
-   */
-  async #executePush(action, data) {
-    switch (action) {
-      case 'saveClient':
-        return this.#googleSheets.saveClient(data);
-      case 'saveSession':
-        return this.#googleSheets.saveSession(data);
-      case 'deleteClient':
-        return this.#googleSheets.deleteClient(data.id);
-      case 'deleteSession':
-        return this.#googleSheets.deleteSession(data.id);
-      case 'syncAll':
-        return this.#googleSheets.syncAll(data);
-      default:
-        console.error('SyncManager: unknown action', action);
+   * Merge a record that exists both locally and in the sheet.
+   * With a known base version the merge is field by field; fields changed on
+   * both sides become a conflict and the record is held back from pushing.
+   * Without a base (first sync) the newer updatedAt wins.
+   * @param {'clients'|'sessions'|'payments'} type
+   * @param {Object} local
+   * @param {Object} remote
+   * @returns {Object} - Record to keep locally
+   */
+  #mergeRecord(type, local, remote) {
+    const { saveAction } = ENTITY_TYPES[type];
+    const truncated = this.#isTruncatedCopy(remote, local);
+    const base = this.#conflicts.getBase(type, local.id);
+
+    if (this.#syncQueue.isDeleted(type, remote.id)) {
+      return local;
+    }
+
+    if (!base) {
+      // Compare timestamps, use newer version
+      const localTime = new Date(local.updatedAt || 0).getTime();
+      const remoteTime = new Date(remote.updatedAt || 0).getTime();
+
+      this.#conflicts.setBase(type, remote);
+
+      if (remoteTime > localTime && !truncated) {
+        return remote;
+      }
+
+      if (localTime > remoteTime || truncated) {
+        this.#syncQueue.add(saveAction, local);
+      }
+      return local;
+    }
+
+    // A truncated copy is not a remote edit of the notes
+    const remoteForMerge = truncated ? { ...remote, notes: local.notes } : remote;
+    const { record, changedLocally, conflicts } = this.#conflicts.merge(
+      base,
+      local,
+      remoteForMerge
+    );
+
+    if (conflicts.length > 0) {
+      // Keep the old base so the conflict is found again until resolved,
+      // and don't let a queued save overwrite the other side
+      this.#conflicts.add(type, remote, conflicts);
+      this.#syncQueue.removeById(local.id);
+      return record;
+    }
+
+    this.#conflicts.setBase(type, remote);
+    this.#conflicts.remove(type, local.id);
+
+    if (changedLocally || truncated) {
+      this.#syncQueue.add(saveAction, record);
+    }
+    return record;
+  }
+
+  /**
+   * Detect remote records whose notes were cut by the old URL-based transport
+   * (500 characters + "..." or a further cut to 200), so the full local copy
+   * is pushed again instead of being replaced by the truncated one.
+   * @param {Object} remote
+   * @param {Object} local
+   * @returns {boolean}
+   */
+  #isTruncatedCopy(remote, local) {
+    const remoteNotes = remote.notes || '';
+    const localNotes = local.notes || '';
+
+    if (remoteNotes.length >= localNotes.length) {
+      return false;
+    }
+
+    if (remoteNotes.length === 503 && remoteNotes.endsWith('...')) {
+      return localNotes.startsWith(remoteNotes.slice(0, 500));
+    }
+
+    return remoteNotes.length === 200 && localNotes.startsWith(remoteNotes);
+  }
+
+  /**
+   * Send queue items, attaching the base version of each saved record so the
+   * server refuses to overwrite rows changed elsewhere. Confirmed writes
+   * become the new base versions.
+   * Saves refused as conflicting are merged only when merged is given, since
+   * merging moves the base version: the caller must put the merged records
+   * into local state. Otherwise they stay queued until a sync merges them.
+   * @param {Array<{action: string, data: Object}>} items
+   * @param {Array<{type: string, record: Object}>|null} [merged] - Receives the merged records
+   * @returns {Promise<Array>} - Result per item, see SyncBackend
+   */
+  async #pushItems(items, merged = null) {
+    const results = await this.#backend.batch(await this.#prepareOutgoing(items));
+    this.#applyPushResults(items, results);
+    if (merged) {
+      merged.push(...(await this.#mergePushConflicts(items, results)));
+    }
+    return results;
+  }
+
+  /**
+   * Add the base version to saves and encrypt, as the backend receives them
+   * @param {Array<{action: string, data: Object}>} items - Queue items
+   * @returns {Promise<Array<{action: string, data: Object}>>}
+   */
+  #prepareOutgoing(items) {
+    return Promise.all(
+      items.map(async ({ action, data }) => {
+        const type = ACTION_TYPES[action];
+        const base = type && this.#conflicts.getBase(type, data.id);
+
+        if (base && action === ENTITY_TYPES[type].saveAction) {
+          data = { ...data, baseUpdatedAt: base.updatedAt };
+        }
+        return { action, data: await this.#encryptRecord(type, data) };
+      })
+    );
+  }
+
+  /**
+   * Remember the server version of every record that was written
+   * @param {Array<{action: string, data: Object}>} items - Queue items
+   * @param {Array<Object>} results - Write result per item
+   */
+  #applyPushResults(items, results) {
+    items.forEach(({ action, data }, i) => {
+      const type = ACTION_TYPES[action];
+      if (!type || !results[i]?.success) return;
+
+      if (results[i].updatedAt && action === ENTITY_TYPES[type].saveAction) {
+        this.#conflicts.setBase(type, { ...data, updatedAt: results[i].updatedAt });
+      } else {
+        this.#conflicts.removeBase(type, data.id);
+      }
+    });
+  }
+
+  /**
+   * Merge saves the server refused as conflicting with the server version it
+   * returned: the queued save is replaced by the merged record (based on that
+   * version), or held back as a conflict for manual resolution
+   * @param {Array<{action: string, data: Object}>} items - Queue items
+   * @param {Array<Object>} results - Write result per item
+   * @returns {Promise<Array<{type: string, record: Object}>>} - Records to keep locally
+   */
+  async #mergePushConflicts(items, results) {
+    const merged = [];
+
+    for (const [i, { action, data }] of items.entries()) {
+      const type = ACTION_TYPES[action];
+      const current = results[i]?.conflict && results[i].current;
+      if (!type || !current || action !== ENTITY_TYPES[type].saveAction) continue;
+
+      const remote = await this.#decryptRecord(type, current);
+      if (!remote) continue;
+
+      // A newer change was queued meanwhile; it is merged when it conflicts in turn
+      const queued = this.#syncQueue.getAll().find((item) => item.data?.id === data.id);
+      if (queued && queued.data !== data) continue;
+
+      // #mergeRecord queues the merged record if it still has local changes
+      this.#syncQueue.removeById(data.id);
+      merged.push({ type, record: this.#mergeRecord(type, data, remote) });
+    }
+
+    return merged;
+  }
+
+  /**
+   * Hand the due queue items to the service worker, which sends them even if
+   * the tab is closed. Items are staged as they would be pushed now.
+   */
+  async #stageBackgroundSync() {
+    await this.#queueLoaded;
+
+    if (
+      !this.#background.isSupported ||
+      !this.#backend.isConfigured ||
+      !this.#canPush() ||
+      this.#syncQueue.isEmpty
+    ) {
+      return;
+    }
+
+    const now = Date.now();
+    const items = this.#syncQueue
+      .getAll()
+      .filter((item) => !item.nextRetryAt || new Date(item.nextRetryAt).getTime() <= now)
+      .slice(0, this.#maxBatchItems || undefined);
+
+    if (items.length === 0) {
+      return;
+    }
+
+    try {
+      const request = await this.#backend.backgroundRequest(
+        await this.#prepareOutgoing(items)
+      );
+      if (!request) {
+        return;
+      }
+
+      await this.#background.stage({
+        request,
+        items: items.map(({ action, data, timestamp }) => ({
+          action,
+          id: data.id,
+          timestamp
+        }))
+      });
+    } catch (e) {
+      console.error('SyncManager: failed to stage background sync', e);
+    }
+  }
+
+  /**
+   * Take back the batch staged for the service worker. Items it sent are
+   * removed from the queue, unless they were changed again in the meantime.
+   * @returns {Promise<number>} - Number of items sent by the service worker
+   */
+  async #collectBackgroundResults() {
+    await this.#queueLoaded;
+
+    const record = await this.#background.take();
+    if (!record?.results) {
+      return 0;
+    }
+
+    const queued = this.#syncQueue.getAll();
+    const sent = [];
+    const results = [];
+
+    record.items.forEach(({ id, timestamp }, i) => {
+      const item = queued.find((q) => q.data?.id === id && q.timestamp === timestamp);
+      const result = record.results[i];
+
+      if (item && result?.id === id) {
+        sent.push(item);
+        results.push(result);
+      }
+    });
+
+    // Conflicts stay queued: the sync that follows merges them into local state
+    this.#applyPushResults(sent, results);
+
+    const successful = sent.filter((item, i) => results[i].success);
+    if (successful.length > 0) {
+      console.log(`SyncManager: ${successful.length} items were sent in the background`);
+      this.#syncQueue.removeItems(successful);
+      this.#notifyConnectionChange(this.#isOnline, this.#getConnectionStatusText());
+    }
+    return successful.length;
+  }
+
+  /**
+   * Check whether queued changes may be sent: with encryption on, only after
+   * the passphrase was checked against the sheet in this session
+   * @returns {boolean}
+   */
+  #canPush() {
+    return (
+      this.#encryptionError === null &&
+      (!this.#crypto.isEnabled || this.#keyVerified)
+    );
+  }
+
+  /**
+   * Check the passphrase against the key check value of the sheet.
+   * The first device to sync with encryption on stores the key check.
+   * @param {string|undefined} keyCheck - Key check from getData/getChanges
+   * @returns {Promise<boolean>} - Whether pulled data may be decrypted and merged
+   */
+  async #unlock(keyCheck) {
+    if (!this.#crypto.isEnabled) {
+      if (keyCheck) {
+        this.#setEncryptionError('Данные в таблице зашифрованы: укажите фразу шифрования');
         return false;
+      }
+      this.#encryptionError = null;
+      return true;
+    }
+
+    const stored =
+      keyCheck ||
+      (await this.#backend.setKeyCheck(await this.#crypto.createKeyCheck()));
+
+    if (!stored) {
+      this.#setEncryptionError('Не удалось включить шифрование: обновите скрипт таблицы');
+      return false;
+    }
+
+    if (!(await this.#crypto.verifyKeyCheck(stored))) {
+      this.#keyVerified = false;
+      this.#setEncryptionError('Неверная фраза шифрования');
+      return false;
+    }
+
+    this.#keyVerified = true;
+    this.#encryptionError = null;
+    return true;
+  }
+
+  /**
+   * Decrypt pulled records in place
+   * @param {Object} remoteData - Response of getData/getChanges
+   * @returns {Promise<Object<string, Set<string>>|null>} - Per type, IDs of records
+   *   stored unencrypted that should be; null if the data must not be merged
+   */
+  async #decryptRemote(remoteData) {
+    if (!(await this.#unlock(remoteData.keyCheck))) {
+      return null;
+    }
+
+    const plainIds = {};
+
+    try {
+      for (const [type, { encryptedFields }] of Object.entries(ENTITY_TYPES)) {
+        plainIds[type] = new Set();
+
+        for (const record of remoteData[type] || []) {
+          for (const field of encryptedFields) {
+            const value = record[field];
+
+            if (CryptoService.isEncrypted(value)) {
+              record[field] = await this.#crypto.decrypt(value);
+            } else if (value && this.#shouldEncrypt(field)) {
+              plainIds[type].add(record.id);
+            }
+          }
+        }
+      }
+    } catch (e) {
+      console.error('SyncManager: failed to decrypt remote data', e);
+      this.#setEncryptionError('Не удалось расшифровать данные из таблицы');
+      return null;
+    }
+
+    return plainIds;
+  }
+
+  /**
+   * Queue records that are stored unencrypted in the sheet, so they are
+   * replaced by encrypted versions
+   * @param {Object<string, Set<string>>} plainIds - From #decryptRemote
+   * @param {{clients: Array, sessions: Array, payments: Array}} merged - Merged local data
+   */
+  #queueForEncryption(plainIds, merged) {
+    Object.entries(ENTITY_TYPES).forEach(([type, { saveAction }]) => {
+      merged[type].forEach((record) => {
+        if (plainIds[type].has(record.id) && !this.#conflicts.has(type, record.id)) {
+          this.#syncQueue.add(saveAction, record);
+        }
+      });
+    });
+  }
+
+  /**
+   * Encrypt the fields of an outgoing record
+   * @param {string|undefined} type - Entity type of the record
+   * @param {Object} data
+   * @returns {Promise<Object>}
+   */
+  async #encryptRecord(type, data) {
+    if (!type || !this.#crypto.isEnabled) {
+      return data;
+    }
+
+    const encrypted = { ...data };
+
+    for (const field of ENTITY_TYPES[type].encryptedFields) {
+      const value = encrypted[field];
+
+      if (typeof value === 'string' && value !== '' && this.#shouldEncrypt(field)) {
+        encrypted[field] = await this.#crypto.encrypt(value);
+      }
+    }
+
+    return encrypted;
+  }
+
+  /**
+   * Decrypt a record returned by the backend
+   * @param {'clients'|'sessions'|'payments'} type
+   * @param {Object} record
+   * @returns {Promise<Object|null>} - null if it cannot be decrypted
+   */
+  async #decryptRecord(type, record) {
+    const decrypted = { ...record };
+
+    try {
+      for (const field of ENTITY_TYPES[type].encryptedFields) {
+        if (CryptoService.isEncrypted(decrypted[field])) {
+          if (!this.#crypto.isEnabled) return null;
+          decrypted[field] = await this.#crypto.decrypt(decrypted[field]);
+        }
+      }
+    } catch (e) {
+      console.error('SyncManager: failed to decrypt a record', e);
+      return null;
+    }
+
+    return decrypted;
+  }
+
+  /**
+   * Decrypt one journal value if possible (the journal shortens long values,
+   * so a long encrypted value cannot be decrypted even with the right passphrase)
+   * @param {string} field
+   * @param {*} value
+   * @returns {Promise<{field: string, value: *, encrypted: boolean}>}
+   */
+  async #decryptHistoryValue(field, value) {
+    if (!CryptoService.isEncrypted(value)) {
+      return { field, value, encrypted: false };
+    }
+
+    if (this.#crypto.isEnabled) {
+      try {
+        return { field, value: await this.#crypto.decrypt(value), encrypted: false };
+      } catch (e) {
+        // Shortened or encrypted with another passphrase
+      }
+    }
+
+    return { field, value: null, encrypted: true };
+  }
+
+  /**
+   * Check whether a field is encrypted with the current settings
+   * @param {string} field
+   * @returns {boolean}
+   */
+  #shouldEncrypt(field) {
+    return (
+      this.#crypto.isEnabled &&
+      (this.#encryptNames || !OPTIONAL_ENCRYPTED_FIELDS.has(field))
+    );
+  }
+
+  /**
+   * Block pushing and show the reason in the connection status
+   * @param {string} message
+   */
+  #setEncryptionError(message) {
+    this.#encryptionError = message;
+    this.#notifyConnectionChange(this.#isOnline, message);
+  }
+
+  /**
+   * Keys of the unresolved conflicts
+   * @returns {Array<string>}
+   */
+  #conflictKeys() {
+    return this.#conflicts.getAll().map(({ type, id }) => `${type}:${id}`);
+  }
+
+  /**
+   * Load the change cursor saved for the current backend URL
+   * @returns {string|null}
+   */
+  #loadCursor() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.#cursorStorageKey));
+      return saved?.url === this.#backend.url ? saved.cursor : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Save the change cursor for the current backend URL
+   * @param {string|null} cursor - null forces a full pull on next sync
+   */
+  #saveCursor(cursor) {
+    try {
+      if (cursor) {
+        localStorage.setItem(
+          this.#cursorStorageKey,
+          JSON.stringify({ url: this.#backend.url, cursor })
+        );
+      } else {
+        localStorage.removeItem(this.#cursorStorageKey);
+      }
+    } catch (e) {
+      console.error('SyncManager: failed to save change cursor', e);
     }
   }
 
@@ -394,11 +1513,25 @@ export class SyncManager {
       return 'Офлайн режим';
     }
 
-    if (this.#syncQueue.length > 0) {
-      return `Google Sheets (очередь: ${this.#syncQueue.length})`;
+    if (this.#encryptionError) {
+      return this.#encryptionError;
+    }
+
+    const { pending, waiting, failed } = this.queueStatus;
+    const parts = [];
+
+    if (pending > 0) {
+      parts.push(
+        waiting > 0 ? `очередь: ${pending}, повтор: ${waiting}` : `очередь: ${pending}`
+      );
+    }
+    if (failed > 0) {
+      parts.push(`не отправлено: ${failed}`);
     }
 
-    return 'Google Sheets подключён';
+    return parts.length > 0
+      ? `${this.#backend.label} (${parts.join('; ')})`
+      : `${this.#backend.label} подключён`;
   }
 
   /**
@@ -418,15 +1551,166 @@ export class SyncManager {
 
   /**
    * Notify all sync complete listeners
-   * @param {Object} data
+   * @param {Object|null} data
+   * @param {Object} report
    */
-  #notifySyncComplete(data) {
+  #notifySyncComplete(data, report) {
     this.#syncListeners.forEach((callback) => {
       try {
-        callback(data);
+        callback(data, report);
       } catch (e) {
         console.error('SyncManager: sync listener error', e);
       }
     });
   }
 }
+
+/**
+ * Empty report of a sync that starts now
+ * @returns {Object} - See SyncReportService
+ */
+function createReport() {
+  return {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: 0,
+    success: false,
+    fullPull: false,
+    pulled: { clients: 0, sessions: 0, payments: 0, deleted: 0 },
+    local: { added: 0, updated: 0, removed: 0 },
+    pushed: 0,
+    queue: { failed: 0, deadLettered: 0, remaining: 0 },
+    conflicts: 0,
+    errors: []
+  };
+}
+
+/**
+ * Add the outcome of one queue run to a report
+ * @param {Object} report
+ * @param {{successful: number, failed: number, deadLettered: number, errors: Array<string>}} result
+ */
+function addQueueResult(report, result) {
+  report.pushed += result.successful;
+  // Items still failing after the second run were counted by the first
+  report.queue.failed = Math.max(report.queue.failed, result.failed);
+  report.queue.deadLettered += result.deadLettered;
+  result.errors.forEach((error) => {
+    if (!report.errors.includes(error)) {
+      report.errors.push(error);
+    }
+  });
+}
+
+/**
+ * Data with some records replaced by newer versions of them
+ * @param {{clients: Array, sessions: Array, payments: Array}} data
+ * @param {Array<{type: string, record: Object}>} records
+ * @returns {{clients: Array, sessions: Array, payments: Array}}
+ */
+function replaceRecords(data, records) {
+  const result = { ...data };
+  records.forEach(({ type, record }) => {
+    result[type] = result[type].map((r) => (r.id === record.id ? record : r));
+  });
+  return result;
+}
+
+/**
+ * Count the records and tombstones received from the backend
+ * @param {Object} remoteData - getData/getChanges response
+ * @returns {{clients: number, sessions: number, payments: number, deleted: number}}
+ */
+function countPulled(remoteData) {
+  return {
+    clients: remoteData.clients?.length || 0,
+    sessions: remoteData.sessions?.length || 0,
+    payments: remoteData.payments?.length || 0,
+    deleted: Object.keys(ENTITY_TYPES).reduce(
+      (sum, type) => sum + (remoteData.deleted?.[type]?.length || 0),
+      0
+    )
+  };
+}
+
+/**
+ * Count how the merge changed the local data
+ * @param {Object<string, Array>} before - Local records by type before the merge
+ * @param {Object<string, Array>} after - Merged records by type
+ * @returns {{added: number, updated: number, removed: number}} - updated are
+ *   local records overwritten with (or merged with) the remote version
+ */
+function countLocalChanges(before, after) {
+  const counts = { added: 0, updated: 0, removed: 0 };
+
+  Object.keys(ENTITY_TYPES).forEach((type) => {
+    const previous = new Map((before[type] || []).map((record) => [record.id, record]));
+    const current = new Set();
+
+    (after[type] || []).forEach((record) => {
+      current.add(record.id);
+      const old = previous.get(record.id);
+
+      if (!old) {
+        counts.added++;
+      } else if (!sameFields(old, record)) {
+        counts.updated++;
+      }
+    });
+
+    previous.forEach((record, id) => {
+      if (!current.has(id)) {
+        counts.removed++;
+      }
+    });
+  });
+
+  return counts;
+}
+
+/**
+ * Check whether two versions of a record hold the same values (in any key order)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function sameFields(a, b) {
+  if (a === b) {
+    return true;
+  }
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((key) => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+/**
+ * Compare the records one side holds with the records that will replace them
+ * @param {Array} target - Records of the side being overwritten
+ * @param {Array} source - Records it will hold afterwards
+ * @returns {{added: Array, changed: Array<{record: Object, fields: Array<string>}>, removed: Array}}
+ */
+function diffRecords(target, source) {
+  const current = new Map(target.map((record) => [record.id, record]));
+  const diff = { added: [], changed: [], removed: [] };
+
+  source.forEach((record) => {
+    const old = current.get(record.id);
+    current.delete(record.id);
+
+    if (!old) {
+      diff.added.push(record);
+      return;
+    }
+
+    const keys = new Set([...Object.keys(old), ...Object.keys(record)]);
+    const fields = [...keys].filter(
+      (key) =>
+        !DIFF_IGNORED_FIELDS.has(key) && JSON.stringify(old[key]) !== JSON.stringify(record[key])
+    );
+    if (fields.length > 0) {
+      diff.changed.push({ record, fields });
+    }
+  });
+
+  diff.removed = [...current.values()];
+  return diff;
+}
@@ -1,3 +1,5 @@
+import { RecordRepository } from './RecordRepository.js';
+
 /**
  * SyncQueueService - manages offline sync queue and deleted items tracking.
  *
@@ -5,27 +7,89 @@
  * - Queuing changes when offline
  * - Deduplicating queue items by ID
  * - Tracking deleted items to prevent resurrection during merge
- * - Persisting queue state to localStorage
+ * - Retrying failed items with exponential backoff
+ * - Moving items that keep failing to a dead-letter list
+ * - Persisting queue state per item (LocalStorageService)
+ *
+ * Queue item: { action, data, timestamp, attempts, lastError, nextRetryAt }
  */
 export class SyncQueueService {
   #queue;
+  #deadLetters;
   #deletedIds;
-  #storageKeyQueue;
-  #storageKeyDeleted;
+  #queueStore;
+  #deadLetterStore;
+  #deletedStore;
+  #retryPolicy;
 
   /**
-   * @param {string} storageKeyQueue - localStorage key for queue
-   * @param {string} storageKeyDeleted - localStorage key for deleted IDs
+   * State is empty until load() resolves.
+   * @param {import('./LocalStorageService.js').LocalStorageService} storage
+   * @param {Object} [retryPolicy]
+   * @param {number} [retryPolicy.maxAttempts] - Failed attempts before an item is dead-lettered
+   * @param {number} [retryPolicy.baseDelayMs] - Delay after the first failure, doubled after each next one
+   * @param {number} [retryPolicy.maxDelayMs] - Upper bound for the delay
    */
-  constructor(
-    storageKeyQueue = 'therapy_sync_queue',
-    storageKeyDeleted = 'therapy_deleted_ids'
-  ) {
-    this.#storageKeyQueue = storageKeyQueue;
-    this.#storageKeyDeleted = storageKeyDeleted;
+  constructor(storage, retryPolicy = {}) {
+    this.#queueStore = new RecordRepository(storage, 'syncQueue', {
+      keyOf: itemKey,
+      legacy: { key: 'therapy_sync_queue' }
+    });
+    this.#deadLetterStore = new RecordRepository(storage, 'deadLetters', {
+      keyOf: itemKey,
+      legacy: { key: 'therapy_sync_dead_letters' }
+    });
+    this.#deletedStore = new RecordRepository(storage, 'deletedIds', {
+      keyOf: ({ type, id }) => `${type}:${id}`,
+      legacy: { key: 'therapy_deleted_ids', toRecords: flattenDeletedIds }
+    });
+    this.#retryPolicy = {
+      maxAttempts: 6,
+      baseDelayMs: 30 * 1000,
+      maxDelayMs: 60 * 60 * 1000,
+      ...retryPolicy
+    };
     this.#queue = [];
-    this.#deletedIds = { clients: [], sessions: [] };
-    this.#load();
+    this.#deadLetters = [];
+    this.#deletedIds = { clients: [], sessions: [], payments: [] };
+  }
+
+  /**
+   * Load the stored queue state. Changes made before it finished are kept
+   * and win over stored items with the same ID.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const [queue, deadLetters, deleted] = await Promise.all([
+        this.#queueStore.getAll(),
+        this.#deadLetterStore.getAll(),
+        this.#deletedStore.getAll()
+      ]);
+
+      // The store returns items by key; the queue is sent in the order of changes
+      const byTime = (field) => (a, b) => String(a[field]).localeCompare(String(b[field]));
+      const known = new Set([...this.#queue, ...this.#deadLetters].map(itemKey));
+
+      this.#queue = [
+        ...queue.filter((item) => !known.has(itemKey(item))).sort(byTime('timestamp')),
+        ...this.#queue
+      ];
+      this.#deadLetters = [
+        ...deadLetters.filter((item) => !known.has(itemKey(item))).sort(byTime('failedAt')),
+        ...this.#deadLetters
+      ];
+      deleted.forEach(({ type, id }) => {
+        this.#deletedIds[type] = this.#deletedIds[type] || [];
+        if (!this.#deletedIds[type].includes(id)) {
+          this.#deletedIds[type].push(id);
+        }
+      });
+    } catch (e) {
+      console.error('SyncQueueService: failed to load the queue', e);
+    }
+
+    this.#save();
   }
 
   /**
@@ -36,6 +100,35 @@ export class SyncQueueService {
     return this.#queue.length;
   }
 
+  /**
+   * Get the number of queued items waiting for their next retry time
+   * @returns {number}
+   */
+  get waitingCount() {
+    const now = Date.now();
+    return this.#queue.filter((item) => !this.#isDue(item, now)).length;
+  }
+
+  /**
+   * Get the earliest time a waiting item may be retried
+   * @returns {string|null} - ISO timestamp, or null if nothing is waiting
+   */
+  get nextRetryAt() {
+    const times = this.#queue
+      .map((item) => item.nextRetryAt)
+      .filter(Boolean)
+      .sort();
+    return times[0] || null;
+  }
+
+  /**
+   * Get the number of dead-lettered items
+   * @returns {number}
+   */
+  get deadLetterCount() {
+    return this.#deadLetters.length;
+  }
+
   /**
    * Check if queue is empty
    * @returns {boolean}
@@ -49,29 +142,37 @@ export class SyncQueueService {
    * Automatically deduplicates by removing previous items with the same data ID.
    * @param {string} action - Action type (saveClient, saveSession, etc.)
    * @param {Object} data - Data to sync
+   * @returns {Object} - The queued item
    */
   add(action, data) {
     const id = data.id;
 
     // Remove previous operations with the same ID to avoid duplicates
+    // (a new change also supersedes a dead-lettered one)
     if (id) {
       this.#queue = this.#queue.filter((item) => {
         const itemId = item.data?.id;
         return itemId !== id;
       });
+      this.#deadLetters = this.#deadLetters.filter((item) => item.data?.id !== id);
     }
 
-    this.#queue.push({
+    const item = {
       action,
       data,
-      timestamp: new Date().toISOString()
-    });
+      timestamp: new Date().toISOString(),
+      attempts: 0,
+      lastError: null,
+      nextRetryAt: null
+    };
+    this.#queue.push(item);
 
     this.#save();
+    return item;
   }
 
   /**
-   * Remove an item from the queue by its data ID
+   * Remove an item from the queue (and the dead-letter list) by its data ID
    * @param {string} id - Data ID to remove
    */
   removeById(id) {
@@ -79,16 +180,18 @@ export class SyncQueueService {
       const itemId = item.data?.id;
       return itemId !== id;
     });
+    this.#deadLetters = this.#deadLetters.filter((item) => item.data?.id !== id);
     this.#save();
   }
 
   /**
-   * Remove specific items from the queue
+   * Remove specific items from the queue. A newer item queued for the same
+   * record meanwhile is a different item and stays.
    * @param {Array} itemsToRemove - Array of queue items to remove
    */
   removeItems(itemsToRemove) {
-    const idsToRemove = new Set(itemsToRemove.map((item) => item.data?.id));
-    this.#queue = this.#queue.filter((item) => !idsToRemove.has(item.data?.id));
+    const toRemove = new Set(itemsToRemove);
+    this.#queue = this.#queue.filter((item) => !toRemove.has(item));
     this.#save();
   }
 
@@ -97,15 +200,17 @@ export class SyncQueueService {
    */
   clear() {
     this.#queue = [];
+    this.#deadLetters = [];
     this.#save();
   }
 
   /**
-   * Clear both queue and deleted IDs tracking
+   * Clear queue, dead letters and deleted IDs tracking
    */
   clearAll() {
     this.#queue = [];
-    this.#deletedIds = { clients: [], sessions: [] };
+    this.#deadLetters = [];
+    this.#deletedIds = { clients: [], sessions: [], payments: [] };
     this.#save();
   }
 
@@ -117,9 +222,51 @@ export class SyncQueueService {
     return [...this.#queue];
   }
 
+  /**
+   * Get all dead-lettered items
+   * @returns {Array} - Queue items with an extra `failedAt`
+   */
+  getDeadLetters() {
+    return [...this.#deadLetters];
+  }
+
+  /**
+   * Make an item eligible for sending right away: clears the backoff of a
+   * queued item or moves a dead-lettered one back to the queue
+   * @param {string} id - Data ID of the item
+   */
+  retry(id) {
+    const item = this.#queue.find((queued) => queued.data?.id === id);
+
+    if (item) {
+      item.nextRetryAt = null;
+      this.#save();
+      return;
+    }
+
+    this.retryDeadLetters(id);
+  }
+
+  /**
+   * Move dead-lettered items back to the queue with a fresh attempt count
+   * @param {string} [id] - Data ID of one item; all items if omitted
+   */
+  retryDeadLetters(id) {
+    const retried = this.#deadLetters.filter(
+      (item) => id === undefined || item.data?.id === id
+    );
+    if (retried.length === 0) return;
+
+    this.#deadLetters = this.#deadLetters.filter((item) => !retried.includes(item));
+    retried.forEach(({ failedAt, ...item }) => {
+      this.#queue.push({ ...item, attempts: 0, nextRetryAt: null });
+    });
+    this.#save();
+  }
+
   /**
    * Track a deleted item ID to prevent resurrection during merge
-   * @param {'clients'|'sessions'} type - Entity type
+   * @param {'clients'|'sessions'|'payments'} type - Entity type
    * @param {string} id - Entity ID
    */
   addDeletedId(type, id) {
@@ -135,7 +282,7 @@ export class SyncQueueService {
 
   /**
    * Check if an item was deleted locally
-   * @param {'clients'|'sessions'} type - Entity type
+   * @param {'clients'|'sessions'|'payments'} type - Entity type
    * @param {string} id - Entity ID
    * @returns {boolean}
    */
@@ -143,9 +290,21 @@ export class SyncQueueService {
     return this.#deletedIds[type]?.includes(id) || false;
   }
 
+  /**
+   * Stop tracking a deleted item, e.g. once the server holds its tombstone
+   * @param {'clients'|'sessions'|'payments'} type - Entity type
+   * @param {string} id - Entity ID
+   */
+  removeDeletedId(type, id) {
+    if (this.#deletedIds[type]?.includes(id)) {
+      this.#deletedIds[type] = this.#deletedIds[type].filter((d) => d !== id);
+      this.#save();
+    }
+  }
+
   /**
    * Get all deleted IDs for a type
-   * @param {'clients'|'sessions'} type - Entity type
+   * @param {'clients'|'sessions'|'payments'} type - Entity type
    * @returns {Array<string>}
    */
   getDeletedIds(type) {
@@ -156,7 +315,7 @@ export class SyncQueueService {
    * Clear deleted IDs tracking
    */
   clearDeletedIds() {
-    this.#deletedIds = { clients: [], sessions: [] };
+    this.#deletedIds = { clients: [], sessions: [], payments: [] };
     this.#save();
   }
 
@@ -192,36 +351,126 @@ export class SyncQueueService {
   }
 
   /**
-   * Load queue state from localStorage
+   * Process queued items that are due for a (re)try with a batch handler.
+   * Only items the handler confirmed are removed, so items re-queued
+   * while the batch was in flight are kept.
+   *
+   * A failed item gets its attempt count increased and waits with exponential
+   * backoff; after `maxAttempts` failures, or at once if the handler marked the
+   * failure `permanent`, it moves to the dead-letter list. Failures marked
+   * `transient` (the request itself did not go through) and conflicts (the handler
+   * merges those with the server version; retrying as is cannot help) only record the error.
+   * @param {Function} handler - Async function(items) returning
+   *   [{success, error?, conflict?, permanent?, transient?}] in the same order
+   * @param {Object} [options]
+   * @param {boolean} [options.ignoreBackoff] - Also send items whose retry time has not come
+   * @returns {Promise<{successful: Array, failed: Array, deadLettered: Array, waiting: number}>}
    */
-  #load() {
-    try {
-      const savedQueue = localStorage.getItem(this.#storageKeyQueue);
-      const savedDeleted = localStorage.getItem(this.#storageKeyDeleted);
+  async processBatch(handler, { ignoreBackoff = false } = {}) {
+    const now = Date.now();
+    const items = this.#queue.filter(
+      (item) => ignoreBackoff || this.#isDue(item, now)
+    );
+    const successful = [];
+    const failed = [];
+    const deadLettered = [];
+    const waiting = this.#queue.length - items.length;
 
-      this.#queue = savedQueue ? JSON.parse(savedQueue) : [];
-      this.#deletedIds = savedDeleted
-        ? JSON.parse(savedDeleted)
-        : { clients: [], sessions: [] };
+    if (items.length === 0) {
+      return { successful, failed, deadLettered, waiting };
+    }
+
+    let results = [];
+    try {
+      results = await handler(items);
     } catch (e) {
-      console.error('SyncQueueService: failed to load from localStorage', e);
-      this.#queue = [];
-      this.#deletedIds = { clients: [], sessions: [] };
+      console.error('SyncQueueService: process batch failed', e);
     }
+
+    items.forEach((item, index) => {
+      const result = results[index];
+
+      if (result?.success) {
+        successful.push(item);
+        return;
+      }
+
+      failed.push(item);
+
+      // Replaced by a newer change while the batch was in flight
+      if (!this.#queue.includes(item)) return;
+
+      item.lastError = result?.error || 'Нет ответа от сервера';
+      if (result?.transient || result?.conflict) return;
+
+      item.attempts = (item.attempts || 0) + 1;
+
+      if (result?.permanent || item.attempts >= this.#retryPolicy.maxAttempts) {
+        deadLettered.push(item);
+      } else {
+        item.nextRetryAt = new Date(now + this.#getRetryDelay(item.attempts)).toISOString();
+      }
+    });
+
+    const removed = new Set([...successful, ...deadLettered]);
+    this.#queue = this.#queue.filter((item) => !removed.has(item));
+    deadLettered.forEach((item) => {
+      this.#deadLetters.push({ ...item, nextRetryAt: null, failedAt: new Date(now).toISOString() });
+    });
+    this.#save();
+
+    return { successful, failed, deadLettered, waiting };
+  }
+
+  /**
+   * Check whether an item may be sent now
+   * @param {Object} item - Queue item
+   * @param {number} now - Current time in ms
+   * @returns {boolean}
+   */
+  #isDue(item, now) {
+    return !item.nextRetryAt || new Date(item.nextRetryAt).getTime() <= now;
+  }
+
+  /**
+   * Backoff delay after the given number of failed attempts
+   * @param {number} attempts
+   * @returns {number} - Delay in ms
+   */
+  #getRetryDelay(attempts) {
+    const { baseDelayMs, maxDelayMs } = this.#retryPolicy;
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
   }
 
   /**
-   * Save queue state to localStorage
+   * Save queue state: only items that changed since the last save are written
    */
   #save() {
-    try {
-      localStorage.setItem(this.#storageKeyQueue, JSON.stringify(this.#queue));
-      localStorage.setItem(
-        this.#storageKeyDeleted,
-        JSON.stringify(this.#deletedIds)
-      );
-    } catch (e) {
-      console.error('SyncQueueService: failed to save to localStorage', e);
-    }
+    const onError = (e) => console.error('SyncQueueService: failed to save the queue', e);
+
+    this.#queueStore.saveAll(this.#queue).catch(onError);
+    this.#deadLetterStore.saveAll(this.#deadLetters).catch(onError);
+    this.#deletedStore.saveAll(flattenDeletedIds(this.#deletedIds)).catch(onError);
   }
 }
+
+/**
+ * Storage key of a queue item: the ID of its record (the queue holds one
+ * operation per record), or its time for an operation without a record
+ * @param {Object} item - Queue item
+ * @returns {string}
+ */
+function itemKey(item) {
+  return item.data?.id ?? item.timestamp;
+}
+
+/**
+ * Deleted IDs by type -> list of {type, id}
+ * @param {Object<string, Array<string>>} deletedIds
+ * @returns {Array<{type: string, id: string}>}
+ */
+function flattenDeletedIds(deletedIds) {
+  return Object.entries(deletedIds || {}).flatMap(([type, ids]) =>
+    ids.map((id) => ({ type, id }))
+  );
+}
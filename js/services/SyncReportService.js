@@ -0,0 +1,95 @@
+/**
+ * SyncReportService - keeps a short history of sync reports.
+ *
+ * This service is responsible for:
+ * - Storing the reports of the latest syncs, newest first
+ * - Remembering when the last successful sync finished, even after its
+ *   report was pushed out of the history by failed ones
+ * - Persisting its state to localStorage
+ *
+ * Report: { startedAt, finishedAt, durationMs, success, fullPull,
+ *   pulled: {clients, sessions, payments, deleted}, local: {added, updated, removed},
+ *   pushed, queue: {failed, deadLettered, remaining}, conflicts, errors: [string] }
+ */
+export class SyncReportService {
+  #reports;
+  #lastSuccessAt;
+  #storageKey;
+  #maxReports;
+
+  /**
+   * @param {string} storageKey - localStorage key for the history
+   * @param {number} maxReports - Reports to keep
+   */
+  constructor(storageKey = 'therapy_sync_reports', maxReports = 20) {
+    this.#storageKey = storageKey;
+    this.#maxReports = maxReports;
+    this.#reports = [];
+    this.#lastSuccessAt = null;
+    this.#load();
+  }
+
+  /**
+   * Get the stored reports, newest first
+   * @returns {Array<Object>}
+   */
+  getAll() {
+    return [...this.#reports];
+  }
+
+  /**
+   * Get the time the last successful sync finished
+   * @returns {string|null} - ISO timestamp, or null if no sync succeeded yet
+   */
+  get lastSuccessAt() {
+    return this.#lastSuccessAt;
+  }
+
+  /**
+   * Add a report, dropping the oldest ones over the limit
+   * @param {Object} report
+   */
+  add(report) {
+    this.#reports = [report, ...this.#reports].slice(0, this.#maxReports);
+    if (report.success) {
+      this.#lastSuccessAt = report.finishedAt;
+    }
+    this.#save();
+  }
+
+  /**
+   * Forget all reports
+   */
+  clear() {
+    this.#reports = [];
+    this.#lastSuccessAt = null;
+    this.#save();
+  }
+
+  /**
+   * Load state from localStorage
+   */
+  #load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.#storageKey));
+      this.#reports = Array.isArray(saved?.reports) ? saved.reports : [];
+      this.#lastSuccessAt = saved?.lastSuccessAt || null;
+    } catch (e) {
+      console.error('SyncReportService: failed to load from localStorage', e);
+    }
+  }
+
+  /**
+   * Save state to localStorage
+   */
+  #save() {
+    try {
+      localStorage.setItem(
+        this.#storageKey,
+        JSON.stringify({ reports: this.#reports, lastSuccessAt: this.#lastSuccessAt })
+      );
+    } catch (e) {
+      console.error('SyncReportService: failed to save to localStorage', e);
+    }
+  }
+}
@@ -0,0 +1,274 @@
+/**
+ * SyncScheduler - decides when the next automatic sync runs.
+ *
+ * This service is responsible for:
+ * - Running the sync task on an interval, with random jitter so devices
+ *   sharing a sheet do not hit it at the same moment
+ * - Running it soon after a local write (debounced, so a burst of edits
+ *   is one sync)
+ * - Running it when the page comes back to the foreground or the network
+ *   comes back
+ * - Backing off exponentially while syncs fail
+ * - Saving battery: no timers while the page is hidden or offline, and a
+ *   longer interval when the battery is low and not charging
+ *
+ * The task itself (check connection, sync, apply merged data) is supplied
+ * by the caller; it resolves to whether the sync went through.
+ */
+export class SyncScheduler {
+  #task;
+  #options;
+  #timer;
+  #dueAt;
+  #running;
+  #pending;
+  #failures;
+  #lastRunAt;
+  #lowBattery;
+  #started;
+  #onVisibilityChange;
+  #onOnline;
+
+  /**
+   * @param {() => Promise<boolean>} task - Sync to run; resolves to true on success
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs] - Delay between syncs while they succeed
+   * @param {number} [options.debounceMs] - Delay after the last local write
+   * @param {number} [options.minGapMs] - A foreground sync is skipped if the last one is more recent
+   * @param {number} [options.maxBackoffMs] - Upper bound for the delay after failures
+   * @param {number} [options.jitter] - Random spread of the interval, as a fraction of it
+   * @param {number} [options.lowBatteryFactor] - Interval multiplier on low battery
+   */
+  constructor(task, options = {}) {
+    this.#task = task;
+    this.#options = {
+      intervalMs: 5 * 60 * 1000,
+      debounceMs: 5 * 1000,
+      minGapMs: 30 * 1000,
+      maxBackoffMs: 60 * 60 * 1000,
+      jitter: 0.2,
+      lowBatteryFactor: 3,
+      ...options
+    };
+    this.#timer = null;
+    this.#dueAt = null;
+    this.#running = false;
+    this.#pending = false;
+    this.#failures = 0;
+    this.#lastRunAt = 0;
+    this.#lowBattery = false;
+    this.#started = false;
+    this.#onVisibilityChange = () => this.#handleVisibilityChange();
+    this.#onOnline = () => this.runNow();
+  }
+
+  /**
+   * Get the number of failed syncs in a row
+   * @returns {number}
+   */
+  get failures() {
+    return this.#failures;
+  }
+
+  /**
+   * Get the time of the next scheduled sync
+   * @returns {string|null} - ISO timestamp, or null if nothing is scheduled
+   */
+  get nextRunAt() {
+    return this.#dueAt ? new Date(this.#dueAt).toISOString() : null;
+  }
+
+  /**
+   * Start scheduling. The first sync runs after one interval
+   * (the app syncs on startup by itself).
+   */
+  start() {
+    if (this.#started) {
+      return;
+    }
+
+    this.#started = true;
+    document.addEventListener('visibilitychange', this.#onVisibilityChange);
+    window.addEventListener('online', this.#onOnline);
+    this.#watchBattery();
+    this.#schedule(this.#nextDelay());
+  }
+
+  /**
+   * Stop scheduling and remove the listeners
+   */
+  stop() {
+    this.#started = false;
+    this.#clearTimer();
+    document.removeEventListener('visibilitychange', this.#onVisibilityChange);
+    window.removeEventListener('online', this.#onOnline);
+  }
+
+  /**
+   * A local change was saved: sync after the debounce delay.
+   * Never moves an earlier scheduled sync later, except while backing off.
+   */
+  notifyLocalWrite() {
+    if (!this.#started || this.#failures > 0) {
+      return;
+    }
+    this.#schedule(this.#options.debounceMs, { earlierOnly: true });
+  }
+
+  /**
+   * Sync now (or right after the sync that is running)
+   * @returns {Promise<void>}
+   */
+  async runNow() {
+    if (!this.#started) {
+      return;
+    }
+
+    if (this.#running) {
+      this.#pending = true;
+      return;
+    }
+
+    this.#clearTimer();
+    await this.#run();
+  }
+
+  /**
+   * Run the task and schedule the next sync from its outcome
+   */
+  async #run() {
+    if (!this.#canRun()) {
+      // Picked up again by the visibilitychange/online listeners
+      this.#dueAt = null;
+      return;
+    }
+
+    this.#running = true;
+    this.#lastRunAt = Date.now();
+
+    let success = false;
+    try {
+      success = await this.#task();
+    } catch (e) {
+      console.error('SyncScheduler: sync task failed', e);
+    } finally {
+      this.#running = false;
+    }
+
+    this.#failures = success ? 0 : this.#failures + 1;
+
+    if (!this.#started) {
+      return;
+    }
+
+    if (this.#pending) {
+      this.#pending = false;
+      this.#schedule(0);
+    } else {
+      this.#schedule(this.#nextDelay());
+    }
+  }
+
+  /**
+   * Check that a sync makes sense now
+   * @returns {boolean}
+   */
+  #canRun() {
+    return document.visibilityState !== 'hidden' && navigator.onLine !== false;
+  }
+
+  /**
+   * Delay until the next regular sync: the interval, doubled per failure,
+   * stretched on low battery and spread by the jitter
+   * @returns {number}
+   */
+  #nextDelay() {
+    const { intervalMs, maxBackoffMs, jitter, lowBatteryFactor } = this.#options;
+
+    let delay = intervalMs * 2 ** this.#failures;
+    if (this.#lowBattery) {
+      delay *= lowBatteryFactor;
+    }
+    delay = Math.min(delay, Math.max(maxBackoffMs, intervalMs));
+
+    return Math.round(delay * (1 + jitter * (Math.random() * 2 - 1)));
+  }
+
+  /**
+   * Set the timer for the next sync
+   * @param {number} delay - Milliseconds from now
+   * @param {Object} [options]
+   * @param {boolean} [options.earlierOnly] - Keep the current timer if it fires sooner
+   */
+  #schedule(delay, { earlierOnly = false } = {}) {
+    const dueAt = Date.now() + delay;
+
+    if (earlierOnly && this.#dueAt !== null && this.#dueAt <= dueAt) {
+      return;
+    }
+
+    // A running sync schedules the next one when it ends
+    if (this.#running) {
+      if (delay <= this.#options.debounceMs) {
+        this.#pending = true;
+      }
+      return;
+    }
+
+    this.#clearTimer();
+    this.#dueAt = dueAt;
+    this.#timer = setTimeout(() => {
+      this.#timer = null;
+      this.#run();
+    }, delay);
+  }
+
+  /**
+   * Cancel the scheduled sync
+   */
+  #clearTimer() {
+    if (this.#timer !== null) {
+      clearTimeout(this.#timer);
+      this.#timer = null;
+    }
+    this.#dueAt = null;
+  }
+
+  /**
+   * Pause while hidden; sync on return unless the last sync was moments ago
+   */
+  #handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      this.#clearTimer();
+      return;
+    }
+
+    const sinceLastRun = Date.now() - this.#lastRunAt;
+    if (this.#failures === 0 && sinceLastRun >= this.#options.minGapMs) {
+      this.runNow();
+    } else if (!this.#running) {
+      this.#schedule(Math.max(this.#nextDelay() - sinceLastRun, 0));
+    }
+  }
+
+  /**
+   * Follow the battery state where the Battery Status API exists
+   */
+  async #watchBattery() {
+    if (typeof navigator.getBattery !== 'function') {
+      return;
+    }
+
+    try {
+      const battery = await navigator.getBattery();
+      const update = () => {
+        this.#lowBattery = !battery.charging && battery.level <= 0.2;
+      };
+      update();
+      battery.addEventListener('chargingchange', update);
+      battery.addEventListener('levelchange', update);
+    } catch (e) {
+      // Not allowed in this context - keep the normal interval
+    }
+  }
+}
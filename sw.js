@@ -0,0 +1,260 @@
+/**
+ * Service worker - keeps the app shell available offline.
+ *
+ * This worker is responsible for:
+ * - Precaching the app shell (index.html, manifest, js modules) on install
+ * - Serving app shell files cache-first, so the app opens without a connection
+ * - Dropping caches of previous versions on activate
+ * - Waiting for the page to confirm an update ("Обновить") before taking over
+ * - Sending the batch of queued changes the page staged for Background Sync,
+ *   so they reach the server after the tab is closed
+ *
+ * Only app shell URLs are answered from the cache. Everything else - the Apps
+ * Script API, a REST server, exchange rates, fonts - goes to the network
+ * untouched and is never stored.
+ */
+
+/**
+ * Cache version. Bump it when any app shell file changes; the deploy
+ * workflow replaces it with the commit hash.
+ */
+const CACHE_VERSION = 'dev';
+
+/**
+ * Prefix of every cache this worker owns
+ */
+const CACHE_PREFIX = 'therapy-shell-';
+
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+/**
+ * App shell files, relative to the worker location.
+ * Every module imported by js/app.js must be listed here, or the app
+ * fails to start offline.
+ */
+const APP_SHELL = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'icon.svg',
+  'js/app.js',
+  'js/services/BackgroundSyncService.js',
+  'js/services/BackupService.js',
+  'js/services/ClientService.js',
+  'js/services/ConflictService.js',
+  'js/services/CryptoService.js',
+  'js/services/DeviceIdentity.js',
+  'js/services/GoogleSheetsService.js',
+  'js/services/IcsService.js',
+  'js/services/IntegrityService.js',
+  'js/services/LedgerService.js',
+  'js/services/LocalStorageService.js',
+  'js/services/PaymentService.js',
+  'js/services/RecordRepository.js',
+  'js/services/RequestSigner.js',
+  'js/services/RestApiService.js',
+  'js/services/SeriesService.js',
+  'js/services/SessionService.js',
+  'js/services/SyncBackend.js',
+  'js/services/SyncManager.js',
+  'js/services/SyncQueueService.js',
+  'js/services/SyncReportService.js',
+  'js/services/SyncScheduler.js'
+];
+
+/**
+ * Background Sync outbox - must match js/services/BackgroundSyncService.js
+ */
+const SYNC_TAG = 'therapy-sync-queue';
+const OUTBOX_DB_NAME = 'therapy-background-sync';
+const OUTBOX_STORE_NAME = 'outbox';
+const OUTBOX_KEY = 'batch';
+
+/**
+ * Absolute URLs of the app shell files
+ */
+const APP_SHELL_URLS = new Set(
+  APP_SHELL.map((path) => new URL(path, self.location).href)
+);
+
+self.addEventListener('install', (event) => {
+  // Bypass the HTTP cache, otherwise a new version could precache stale files
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) =>
+        cache.addAll(APP_SHELL.map((path) => new Request(path, { cache: 'reload' })))
+      )
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  // Sent by the page when the user accepts the update
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    const url = new URL(request.url);
+    url.search = '';
+    url.hash = '';
+
+    if (APP_SHELL_URLS.has(url.href)) {
+      event.respondWith(fromCache(new URL('index.html', self.location).href, request));
+    }
+    return;
+  }
+
+  if (APP_SHELL_URLS.has(request.url)) {
+    event.respondWith(fromCache(request.url, request));
+  }
+});
+
+/**
+ * Answer from the precache, falling back to the network
+ * (e.g. if the cache was cleared by the browser)
+ * @param {string} cacheUrl - Cached URL to answer with
+ * @param {Request} request - Original request
+ * @returns {Promise<Response>}
+ */
+async function fromCache(cacheUrl, request) {
+  const cached = await caches.match(cacheUrl, { cacheName: CACHE_NAME });
+  return cached || fetch(request);
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(sendOutbox());
+  }
+});
+
+/**
+ * Sign and send the staged batch, then store the per-item results for the
+ * page. A rejection makes the browser retry the sync event later.
+ * @returns {Promise<void>}
+ */
+async function sendOutbox() {
+  const record = await outbox('readonly', (store) => store.get(OUTBOX_KEY));
+  if (!record || record.results) {
+    return;
+  }
+
+  const { request } = record;
+  const { ts, nonce, sig } = await sign(request.key, request.signedAction, request.payload);
+
+  const headers = { ...request.headers };
+  let body = request.payload;
+
+  if (request.signatureIn === 'body') {
+    body = JSON.stringify({ ...request.fields, data: request.payload, ts, nonce, sig });
+  } else {
+    headers['X-Request-Timestamp'] = ts;
+    headers['X-Request-Nonce'] = nonce;
+    headers['X-Request-Signature'] = sig;
+  }
+
+  const response = await fetch(request.url, { method: 'POST', mode: 'cors', headers, body });
+
+  let result = null;
+  try {
+    result = await response.json();
+  } catch (e) {
+    // Empty or non-JSON body - the status says enough
+  }
+
+  // A rejected key will not get better by retrying - the page reports it
+  if (response.status === 401 || result?.unauthorized) {
+    return;
+  }
+
+  if (!response.ok || !Array.isArray(result?.results)) {
+    throw new Error(result?.error || `Background sync failed: HTTP ${response.status}`);
+  }
+
+  // The page may have taken the batch back while the request was in flight
+  await outbox('readwrite', (store) => {
+    const current = store.get(OUTBOX_KEY);
+    current.onsuccess = () => {
+      if (current.result?.stagedAt === record.stagedAt) {
+        store.put(
+          { ...record, results: result.results, sentAt: new Date().toISOString() },
+          OUTBOX_KEY
+        );
+      }
+    };
+  });
+}
+
+/**
+ * HMAC-SHA256 signature in the format of js/services/RequestSigner.js
+ * @param {CryptoKey} key - Signing key staged by the page
+ * @param {string} action - Signed action
+ * @param {string} data - Exact data string sent with the request
+ * @returns {Promise<{ts: string, nonce: string, sig: string}>}
+ */
+async function sign(key, action, data) {
+  const ts = String(Date.now());
+  const nonce = crypto.randomUUID();
+  const signature = await crypto.subtle.sign(
+    'HMAC',
+    key,
+    new TextEncoder().encode(`${action}\n${ts}\n${nonce}\n${data}`)
+  );
+
+  const sig = Array.from(new Uint8Array(signature))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+
+  return { ts, nonce, sig };
+}
+
+/**
+ * Run one request in a transaction of the outbox store
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest|void} callback
+ * @returns {Promise<*>} - Result of the returned request, once the transaction completes
+ */
+function outbox(mode, callback) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(OUTBOX_DB_NAME, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(OUTBOX_STORE_NAME);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const transaction = db.transaction(OUTBOX_STORE_NAME, mode);
+      const request = callback(transaction.objectStore(OUTBOX_STORE_NAME));
+
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(request?.result);
+      };
+      transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    };
+  });
+}